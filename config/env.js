@@ -38,7 +38,108 @@ export const config = {
   // Email configuration
   email: {
     expiryHours: parseInt(process.env.EMAIL_EXPIRY_HOURS, 10) || 24,
-    cleanupIntervalMinutes: parseInt(process.env.EMAIL_CLEANUP_INTERVAL_MINUTES, 10) || 30
+    minExpiryHours: parseInt(process.env.EMAIL_MIN_EXPIRY_HOURS, 10) || 1,
+    maxExpiryHours: parseInt(process.env.EMAIL_MAX_EXPIRY_HOURS, 10) || 168,
+    // Maximum number of addresses per bulk create/delete request
+    bulkCreateLimit: parseInt(process.env.EMAIL_BULK_CREATE_LIMIT, 10) || 50,
+    // Default local-part style: classic, words, pronounceable or short
+    generationStyle: process.env.EMAIL_GENERATION_STYLE || 'classic',
+    // Receiving domains for temp addresses (first one is the default)
+    domains: (process.env.EMAIL_DOMAINS || 'tempmailx.com')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    cleanupIntervalMinutes: parseInt(process.env.EMAIL_CLEANUP_INTERVAL_MINUTES, 10) || 30,
+    // Long-poll GET /email/addresses/:address/wait
+    waitTimeoutSeconds: parseInt(process.env.EMAIL_WAIT_TIMEOUT_SECONDS, 10) || 30,
+    maxWaitTimeoutSeconds: parseInt(process.env.EMAIL_MAX_WAIT_TIMEOUT_SECONDS, 10) || 120
+  },
+
+  // Inbound SMTP configuration (receiving mail for temp addresses)
+  inbound: {
+    enabled: process.env.INBOUND_SMTP_ENABLED !== 'false',
+    host: process.env.INBOUND_SMTP_HOST || '0.0.0.0',
+    port: parseInt(process.env.INBOUND_SMTP_PORT, 10) || 2525,
+    maxMessageSizeMB: parseInt(process.env.INBOUND_SMTP_MAX_SIZE_MB, 10) || 10
+  },
+
+  // Realtime event stream (GET /email/events)
+  realtime: {
+    // Events kept per user for Last-Event-ID replay
+    replayBufferSize: parseInt(process.env.REALTIME_REPLAY_BUFFER_SIZE, 10) || 100,
+    replayMaxAgeMinutes: parseInt(process.env.REALTIME_REPLAY_MAX_AGE_MINUTES, 10) || 60,
+    heartbeatSeconds: parseInt(process.env.REALTIME_HEARTBEAT_SECONDS, 10) || 25
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    maxPerUser: parseInt(process.env.WEBHOOK_MAX_PER_USER, 10) || 10,
+    // Attempts per event, with exponential backoff starting at retryBaseSeconds
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 10,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // Loopback, private and link-local targets are refused unless this is set (local testing only)
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  },
+
+  // Forwarding to verified real mailboxes
+  forwarding: {
+    maxRulesPerAddress: parseInt(process.env.FORWARDING_MAX_RULES_PER_ADDRESS, 10) || 3,
+    otpExpiryMinutes: parseInt(process.env.FORWARDING_OTP_EXPIRY_MINUTES, 10) || 10,
+    otpResendCooldownSeconds: parseInt(process.env.FORWARDING_OTP_RESEND_COOLDOWN_SECONDS, 10) || 60,
+    // Codes one rule may be sent before it has to be recreated
+    maxOtpSendsPerRule: parseInt(process.env.FORWARDING_MAX_OTP_SENDS_PER_RULE, 10) || 5,
+    // Codes one user may be sent across all rules, including new ones
+    maxOtpSendsPerUserPerHour: parseInt(process.env.FORWARDING_MAX_OTP_SENDS_PER_USER_PER_HOUR, 10) || 10,
+    // Wrong codes, across resends, before the rule is locked
+    maxOtpFailedAttempts: parseInt(process.env.FORWARDING_MAX_OTP_FAILED_ATTEMPTS, 10) || 10
+  },
+
+  // Inbound filtering rules (/email/rules)
+  rules: {
+    maxPerUser: parseInt(process.env.RULES_MAX_PER_USER, 10) || 50,
+    // Newest inbox messages a dry run checks
+    dryRunScanLimit: parseInt(process.env.RULES_DRY_RUN_SCAN_LIMIT, 10) || 1000
+  },
+
+  // Spam scoring for received mail
+  spam: {
+    enabled: process.env.SPAM_FILTER_ENABLED !== 'false',
+    // Mail scoring at least this much goes to quarantine instead of the inbox
+    quarantineThreshold: parseFloat(process.env.SPAM_QUARANTINE_THRESHOLD) || 5,
+    // Sender and link domains that are always treated as spam
+    blockedDomains: (process.env.SPAM_BLOCKED_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    // Authserv-ids of our own MTAs; Authentication-Results from anyone else are ignored
+    trustedAuthservIds: (process.env.SPAM_TRUSTED_AUTHSERV_IDS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Mailbox quotas (stored mail counts sent and received messages)
+  quotas: {
+    // Unexpired addresses a user can hold at once
+    maxAddressesPerUser: parseInt(process.env.QUOTA_MAX_ADDRESSES_PER_USER, 10) || 50,
+    maxMessagesPerAddress: parseInt(process.env.QUOTA_MAX_MESSAGES_PER_ADDRESS, 10) || 1000,
+    maxStorageMBPerAddress: parseInt(process.env.QUOTA_MAX_STORAGE_MB_PER_ADDRESS, 10) || 50,
+    maxMessagesPerUser: parseInt(process.env.QUOTA_MAX_MESSAGES_PER_USER, 10) || 10000,
+    maxStorageMBPerUser: parseInt(process.env.QUOTA_MAX_STORAGE_MB_PER_USER, 10) || 250
+  },
+
+  // Attachment configuration
+  attachments: {
+    storageDriver: process.env.ATTACHMENT_STORAGE_DRIVER || 'local',
+    storageDir: process.env.ATTACHMENT_STORAGE_DIR || './storage/attachments',
+    maxFileSizeMB: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10,
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5,
+    // MIME types accepted on upload; "type/*" matches a whole family
+    allowedTypes: (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/*,text/plain,text/csv,application/pdf,application/zip,application/json')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean)
   },
 
   // Database configuration (Supabase)
@@ -28,7 +28,8 @@ CREATE TABLE IF NOT EXISTS temp_emails (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     email_address VARCHAR(255) UNIQUE NOT NULL,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours')
 );
 
 -- Create index on user_id for faster lookups
@@ -43,11 +44,33 @@ CREATE TABLE IF NOT EXISTS emails (
     from_email VARCHAR(255) NOT NULL,
     to_email VARCHAR(255) NOT NULL,
     subject VARCHAR(500),
-    body TEXT,
+    body TEXT, -- Plain text part
+    html_body TEXT, -- HTML part as received, sanitized on read
+    headers JSONB, -- All headers in message order: [{ "name": ..., "value": ... }]
+    raw_size INTEGER, -- Bytes of the raw source kept in blob storage (NULL if none)
+    verification_code VARCHAR(32), -- One-time code detected in received mail
+    verification_links JSONB NOT NULL DEFAULT '[]', -- Verification / magic-login URLs detected in received mail
     type VARCHAR(20) NOT NULL CHECK (type IN ('received', 'sent')),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    delivery_status VARCHAR(20) CHECK (delivery_status IN ('queued', 'sent', 'failed')), -- Outgoing mail only
+    smtp_response TEXT, -- Last SMTP server response or delivery error
+    message_id VARCHAR(255), -- Message-ID assigned on delivery
+    sent_at TIMESTAMP WITH TIME ZONE,
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+    is_starred BOOLEAN NOT NULL DEFAULT FALSE,
+    is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+    spam_score NUMERIC(6, 2), -- Received mail only
+    spam_reasons JSONB NOT NULL DEFAULT '[]', -- [{ check, score, reason }]
+    is_quarantined BOOLEAN NOT NULL DEFAULT FALSE, -- Hidden from the inbox until released
+    announced_at TIMESTAMP WITH TIME ZONE, -- When email.received fired; NULL while quarantined on arrival
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours')
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours'),
+    -- Full-text search document: subject weighs most, then addresses, then body
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(from_email, '') || ' ' || coalesce(to_email, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(body, '')), 'C')
+    ) STORED
 );
 
 -- Create indexes for faster queries
@@ -56,6 +79,274 @@ CREATE INDEX IF NOT EXISTS idx_emails_to_email ON emails(to_email);
 CREATE INDEX IF NOT EXISTS idx_emails_from_email ON emails(from_email);
 CREATE INDEX IF NOT EXISTS idx_emails_type ON emails(type);
 CREATE INDEX IF NOT EXISTS idx_emails_expires_at ON emails(expires_at);
+CREATE INDEX IF NOT EXISTS idx_emails_user_type_created ON emails(user_id, type, created_at DESC, id DESC); -- Keyset pagination
+
+-- ============================================
+-- LABELS TABLES
+-- ============================================
+CREATE TABLE IF NOT EXISTS labels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#6b7280', -- Hex colour, e.g. #10b981
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+-- Labels assigned to emails (many-to-many)
+CREATE TABLE IF NOT EXISTS email_labels (
+    email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+    label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (email_id, label_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_labels_user_id ON labels(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_labels_label_id ON email_labels(label_id);
+CREATE INDEX IF NOT EXISTS idx_email_labels_user_id ON email_labels(user_id);
+
+-- ============================================
+-- ATTACHMENTS TABLE
+-- ============================================
+-- Metadata only; content is kept in the blob store under storage_key
+CREATE TABLE IF NOT EXISTS attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    content_id VARCHAR(255), -- For inline (cid:) images
+    storage_key VARCHAR(512) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_email_id ON attachments(email_id);
+
+-- ============================================
+-- WEBHOOKS TABLES
+-- ============================================
+-- Endpoints notified when mail arrives, for one temp address or (address NULL) the whole account
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url VARCHAR(2048) NOT NULL,
+    address VARCHAR(255), -- Temp address filter, NULL for account-wide
+    secret VARCHAR(64) NOT NULL, -- HMAC-SHA256 signing key
+    description VARCHAR(255),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per event sent to a webhook, updated on every attempt
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB, -- Event data, kept so retries survive a restart
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- ============================================
+-- FORWARDING TABLES
+-- ============================================
+-- Relay mail received at a temp address to a real mailbox once the destination is verified
+CREATE TABLE IF NOT EXISTS forwarding_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    temp_email_id UUID NOT NULL REFERENCES temp_emails(id) ON DELETE CASCADE,
+    address VARCHAR(255) NOT NULL, -- Temp address mail is forwarded from
+    destination VARCHAR(255) NOT NULL, -- Real mailbox mail is forwarded to
+    from_filter VARCHAR(255), -- Only forward when the sender contains this text
+    subject_filter VARCHAR(255), -- Only forward when the subject contains this text
+    is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    expires_at TIMESTAMP WITH TIME ZONE, -- NULL forwards until the address itself expires
+    otp_send_count INTEGER NOT NULL DEFAULT 0, -- Verification codes sent to the destination
+    otp_sent_at TIMESTAMP WITH TIME ZONE,
+    otp_failed_attempts INTEGER NOT NULL DEFAULT 0, -- Wrong codes entered, across resends
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(temp_email_id, destination)
+);
+
+-- One row per forwarded copy
+CREATE TABLE IF NOT EXISTS forwarded_emails (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    rule_id UUID NOT NULL REFERENCES forwarding_rules(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+    destination VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+    message_id VARCHAR(255),
+    smtp_response TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forwarding_rules_address ON forwarding_rules(address);
+CREATE INDEX IF NOT EXISTS idx_forwarded_emails_rule_id ON forwarded_emails(rule_id, created_at DESC);
+
+-- ============================================
+-- MAIL RULES TABLE
+-- ============================================
+-- Per-user filters evaluated against received mail before it is stored
+CREATE TABLE IF NOT EXISTS mail_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    conditions JSONB NOT NULL, -- [{ field: from|to|subject|body, operator: contains|regex|domain, value }]
+    match_mode VARCHAR(3) NOT NULL DEFAULT 'all' CHECK (match_mode IN ('all', 'any')),
+    actions JSONB NOT NULL, -- [{ type: reject|delete|mark_read|star|label|forward, labelId?, destination? }]
+    priority INTEGER NOT NULL DEFAULT 0, -- Lower runs first
+    stop_processing BOOLEAN NOT NULL DEFAULT FALSE, -- Skip lower-priority rules after a match
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_rules_user_id ON mail_rules(user_id, priority);
+
+-- ============================================
+-- SPAM REPORTS TABLE
+-- ============================================
+-- Senders a user reported; later mail from them scores higher
+CREATE TABLE IF NOT EXISTS spam_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+    sender VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_spam_reports_user_sender ON spam_reports(user_id, sender);
+
+-- ============================================
+-- MAILBOX USAGE TABLE
+-- ============================================
+-- Stored messages and bytes per address, kept up to date by claim_mailbox_quota and the
+-- emails delete trigger so quota checks never aggregate the mailbox
+CREATE TABLE IF NOT EXISTS mailbox_usage_counters (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    address VARCHAR(255) NOT NULL, -- Lowercased; sent mail counts against its sender, received mail against its recipient
+    message_count INTEGER NOT NULL DEFAULT 0,
+    total_bytes BIGINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, address)
+);
+
+-- ============================================
+-- MIGRATIONS
+-- ============================================
+
+-- Bring databases created from an earlier version of this file up to date.
+-- No-ops on a fresh database; must run before the views and functions below.
+
+-- Outbound delivery tracking
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20) CHECK (delivery_status IN ('queued', 'sent', 'failed'));
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS smtp_response TEXT;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS message_id VARCHAR(255);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Temp address expiry
+ALTER TABLE temp_emails ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours');
+CREATE INDEX IF NOT EXISTS idx_temp_emails_expires_at ON temp_emails(expires_at);
+
+-- Read-state filter
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS is_read BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Full-text search
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(from_email, '') || ' ' || coalesce(to_email, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_emails_search_vector ON emails USING GIN(search_vector);
+
+-- Starred/archived message state
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS is_starred BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- HTML bodies
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS html_body TEXT;
+
+-- Headers and raw source
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS headers JSONB;
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS raw_size INTEGER;
+
+-- Verification code extraction
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS verification_code VARCHAR(32);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS verification_links JSONB NOT NULL DEFAULT '[]';
+
+-- Forwards made by a mail rule's forward action (logged under the forwarding rule that verified the destination)
+ALTER TABLE forwarded_emails ADD COLUMN IF NOT EXISTS mail_rule_id UUID REFERENCES mail_rules(id) ON DELETE SET NULL;
+
+-- Spam scoring and quarantine
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS spam_score NUMERIC(6, 2);
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS spam_reasons JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS is_quarantined BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_emails_quarantined ON emails(user_id, created_at DESC) WHERE is_quarantined;
+
+-- Released mail is only announced if it never was (mail already in the inbox was announced on arrival)
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS announced_at TIMESTAMP WITH TIME ZONE;
+UPDATE emails SET announced_at = created_at WHERE announced_at IS NULL AND type = 'received' AND NOT is_quarantined;
+
+-- Mail expires with its temp address (earlier versions always used the default lifetime)
+UPDATE emails e
+SET expires_at = t.expires_at
+FROM temp_emails t
+WHERE e.user_id = t.user_id
+    AND t.expires_at IS NOT NULL
+    AND e.expires_at < t.expires_at
+    AND ((e.type = 'received' AND e.to_email = t.email_address) OR (e.type = 'sent' AND e.from_email = t.email_address));
+
+-- Webhook response bodies are no longer recorded
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS response_body;
+
+-- Forwarding verification limits
+ALTER TABLE forwarding_rules ADD COLUMN IF NOT EXISTS otp_send_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE forwarding_rules ADD COLUMN IF NOT EXISTS otp_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE forwarding_rules ADD COLUMN IF NOT EXISTS otp_failed_attempts INTEGER NOT NULL DEFAULT 0;
+
+-- Webhook retries resume after a restart
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS payload JSONB;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- ============================================
+-- VIEWS
+-- ============================================
+
+-- Temp addresses with per-address message counts
+CREATE OR REPLACE VIEW temp_email_stats AS
+SELECT
+    t.id,
+    t.user_id,
+    t.email_address,
+    t.created_at,
+    t.expires_at,
+    COUNT(e.id) FILTER (WHERE e.type = 'received' AND e.to_email = t.email_address AND NOT e.is_quarantined) AS received_count,
+    COUNT(e.id) FILTER (WHERE e.type = 'sent' AND e.from_email = t.email_address) AS sent_count,
+    COUNT(e.id) FILTER (WHERE e.type = 'received' AND e.to_email = t.email_address AND NOT e.is_read AND NOT e.is_quarantined) AS unread_count
+FROM temp_emails t
+LEFT JOIN emails e
+    ON e.user_id = t.user_id
+    AND (e.to_email = t.email_address OR e.from_email = t.email_address)
+GROUP BY t.id;
 
 -- ============================================
 -- FUNCTIONS
@@ -74,6 +365,25 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Trigger to update updated_at on labels table
+CREATE TRIGGER update_labels_updated_at BEFORE UPDATE ON labels
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Triggers to update updated_at on webhooks tables
+CREATE TRIGGER update_webhooks_updated_at BEFORE UPDATE ON webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update updated_at on forwarding_rules table
+CREATE TRIGGER update_forwarding_rules_updated_at BEFORE UPDATE ON forwarding_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger to update updated_at on mail_rules table
+CREATE TRIGGER update_mail_rules_updated_at BEFORE UPDATE ON mail_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- ROW LEVEL SECURITY (RLS)
 -- ============================================
@@ -82,6 +392,16 @@ CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE temp_emails ENABLE ROW LEVEL SECURITY;
 ALTER TABLE emails ENABLE ROW LEVEL SECURITY;
+ALTER TABLE labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forwarding_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forwarded_emails ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mail_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE spam_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mailbox_usage_counters ENABLE ROW LEVEL SECURITY;
 
 -- Policies for users table (allow service role full access)
 CREATE POLICY "Enable all access for service role" ON users
@@ -95,6 +415,43 @@ CREATE POLICY "Enable all access for service role" ON temp_emails
 CREATE POLICY "Enable all access for service role" ON emails
     FOR ALL USING (true);
 
+-- Policies for labels tables
+CREATE POLICY "Enable all access for service role" ON labels
+    FOR ALL USING (true);
+
+CREATE POLICY "Enable all access for service role" ON email_labels
+    FOR ALL USING (true);
+
+-- Policies for attachments table
+CREATE POLICY "Enable all access for service role" ON attachments
+    FOR ALL USING (true);
+
+-- Policies for webhooks tables
+CREATE POLICY "Enable all access for service role" ON webhooks
+    FOR ALL USING (true);
+
+CREATE POLICY "Enable all access for service role" ON webhook_deliveries
+    FOR ALL USING (true);
+
+-- Policies for forwarding tables
+CREATE POLICY "Enable all access for service role" ON forwarding_rules
+    FOR ALL USING (true);
+
+CREATE POLICY "Enable all access for service role" ON forwarded_emails
+    FOR ALL USING (true);
+
+-- Policies for mail_rules table
+CREATE POLICY "Enable all access for service role" ON mail_rules
+    FOR ALL USING (true);
+
+-- Policies for spam_reports table
+CREATE POLICY "Enable all access for service role" ON spam_reports
+    FOR ALL USING (true);
+
+-- Policies for mailbox_usage_counters table
+CREATE POLICY "Enable all access for service role" ON mailbox_usage_counters
+    FOR ALL USING (true);
+
 -- ============================================
 -- CLEANUP FUNCTION FOR EXPIRED EMAILS
 -- ============================================
@@ -110,6 +467,194 @@ $$ LANGUAGE plpgsql;
 -- You can set up a cron job in Supabase to run this function periodically
 -- Or call it from your application
 
+-- ============================================
+-- FULL-TEXT SEARCH FUNCTION
+-- ============================================
+
+-- Ranked search over a user's mailbox, with highlighted subject and body snippet.
+-- Matches are wrapped in [[hl]]...[[/hl]] so the API can HTML-escape before marking them up.
+CREATE OR REPLACE FUNCTION search_emails(
+    p_user_id UUID,
+    p_query TEXT,
+    p_type VARCHAR DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    from_email VARCHAR,
+    to_email VARCHAR,
+    subject VARCHAR,
+    type VARCHAR,
+    is_read BOOLEAN,
+    created_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    subject_highlight TEXT,
+    snippet TEXT
+) AS $$
+    SELECT
+        e.id,
+        e.from_email,
+        e.to_email,
+        e.subject,
+        e.type,
+        e.is_read,
+        e.created_at,
+        ts_rank_cd(e.search_vector, q) AS rank,
+        ts_headline('english', coalesce(e.subject, ''), q,
+            'StartSel="[[hl]]", StopSel="[[/hl]]", HighlightAll=true') AS subject_highlight,
+        ts_headline('english', coalesce(e.body, ''), q,
+            'StartSel="[[hl]]", StopSel="[[/hl]]", MinWords=15, MaxWords=35, MaxFragments=2') AS snippet
+    FROM emails e, websearch_to_tsquery('english', p_query) q
+    WHERE e.user_id = p_user_id
+        AND e.search_vector @@ q
+        AND (p_type IS NULL OR e.type = p_type)
+        AND NOT e.is_quarantined
+    ORDER BY rank DESC, e.created_at DESC, e.id DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- QUOTA FUNCTIONS
+-- ============================================
+
+-- Create temp addresses unless that would exceed the user's limit of unexpired addresses.
+-- Calls for the same user are serialized with an advisory lock, so parallel requests can't
+-- both pass the count. Returns { used, records }; records is null when nothing was created.
+CREATE OR REPLACE FUNCTION add_temp_emails_within_quota(
+    p_user_id UUID,
+    p_addresses VARCHAR[],
+    p_expires_at TIMESTAMP WITH TIME ZONE,
+    p_max_addresses INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_used INTEGER;
+    v_records JSONB;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('address_quota:' || p_user_id::text));
+
+    SELECT COUNT(*) INTO v_used
+    FROM temp_emails t
+    WHERE t.user_id = p_user_id AND t.expires_at > NOW();
+
+    IF v_used + cardinality(p_addresses) > p_max_addresses THEN
+        RETURN jsonb_build_object('used', v_used, 'records', NULL);
+    END IF;
+
+    WITH inserted AS (
+        INSERT INTO temp_emails (user_id, email_address, expires_at)
+        SELECT p_user_id, address, p_expires_at
+        FROM unnest(p_addresses) AS address
+        RETURNING *
+    )
+    SELECT jsonb_agg(to_jsonb(inserted)) INTO v_records FROM inserted;
+
+    RETURN jsonb_build_object('used', v_used, 'records', v_records);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replaced by mailbox_usage_counters
+DROP FUNCTION IF EXISTS mailbox_usage(UUID);
+
+-- Check a message against the quotas and count it, in one step. Claims for the same user are
+-- serialized with an advisory lock, so concurrent deliveries can't both take the last slot.
+-- Returns no row when the message was counted, otherwise the first limit it would exceed.
+CREATE OR REPLACE FUNCTION claim_mailbox_quota(
+    p_user_id UUID,
+    p_address VARCHAR,
+    p_bytes BIGINT,
+    p_max_address_messages BIGINT,
+    p_max_address_bytes BIGINT,
+    p_max_user_messages BIGINT,
+    p_max_user_bytes BIGINT
+)
+RETURNS TABLE (
+    quota_scope TEXT,
+    quota_type TEXT,
+    used BIGINT,
+    quota_limit BIGINT
+) AS $$
+DECLARE
+    v_address VARCHAR := lower(p_address);
+    v_address_messages BIGINT;
+    v_address_bytes BIGINT;
+    v_user_messages BIGINT;
+    v_user_bytes BIGINT;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('mailbox_quota:' || p_user_id::text));
+
+    SELECT
+        COALESCE(SUM(c.message_count) FILTER (WHERE c.address = v_address), 0),
+        COALESCE(SUM(c.total_bytes) FILTER (WHERE c.address = v_address), 0),
+        COALESCE(SUM(c.message_count), 0),
+        COALESCE(SUM(c.total_bytes), 0)
+    INTO v_address_messages, v_address_bytes, v_user_messages, v_user_bytes
+    FROM mailbox_usage_counters c
+    WHERE c.user_id = p_user_id;
+
+    IF v_address_messages + 1 > p_max_address_messages THEN
+        RETURN QUERY SELECT 'address'::TEXT, 'messages'::TEXT, v_address_messages, p_max_address_messages;
+    ELSIF v_address_bytes + p_bytes > p_max_address_bytes THEN
+        RETURN QUERY SELECT 'address'::TEXT, 'storage'::TEXT, v_address_bytes, p_max_address_bytes;
+    ELSIF v_user_messages + 1 > p_max_user_messages THEN
+        RETURN QUERY SELECT 'user'::TEXT, 'messages'::TEXT, v_user_messages, p_max_user_messages;
+    ELSIF v_user_bytes + p_bytes > p_max_user_bytes THEN
+        RETURN QUERY SELECT 'user'::TEXT, 'storage'::TEXT, v_user_bytes, p_max_user_bytes;
+    ELSE
+        INSERT INTO mailbox_usage_counters AS c (user_id, address, message_count, total_bytes)
+        VALUES (p_user_id, v_address, 1, p_bytes)
+        ON CONFLICT (user_id, address) DO UPDATE
+        SET message_count = c.message_count + 1,
+            total_bytes = c.total_bytes + EXCLUDED.total_bytes;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give back a claim whose message was not stored after all
+CREATE OR REPLACE FUNCTION release_mailbox_quota(p_user_id UUID, p_address VARCHAR, p_bytes BIGINT)
+RETURNS void AS $$
+    UPDATE mailbox_usage_counters
+    SET message_count = GREATEST(message_count - 1, 0),
+        total_bytes = GREATEST(total_bytes - p_bytes, 0)
+    WHERE user_id = p_user_id AND address = lower(p_address);
+$$ LANGUAGE sql;
+
+-- Deleted mail (by the user, expiry or cascade) frees its space. Bytes are the raw source
+-- size, or the text and HTML parts when no source was kept - what the claim counted.
+CREATE OR REPLACE FUNCTION release_deleted_email_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE mailbox_usage_counters
+    SET message_count = GREATEST(message_count - 1, 0),
+        total_bytes = GREATEST(total_bytes - COALESCE(OLD.raw_size, octet_length(coalesce(OLD.body, '')) + octet_length(coalesce(OLD.html_body, ''))), 0)
+    WHERE user_id = OLD.user_id
+        AND address = lower(CASE WHEN OLD.type = 'sent' THEN OLD.from_email ELSE OLD.to_email END);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS release_deleted_email_quota ON emails;
+CREATE TRIGGER release_deleted_email_quota AFTER DELETE ON emails
+    FOR EACH ROW EXECUTE FUNCTION release_deleted_email_quota();
+
+-- Rebuild the counters from stored mail: fills them on an existing database, and corrects
+-- claims left behind if the server stopped between claiming and storing a message
+UPDATE mailbox_usage_counters SET message_count = 0, total_bytes = 0;
+
+INSERT INTO mailbox_usage_counters AS c (user_id, address, message_count, total_bytes)
+SELECT
+    e.user_id,
+    lower(CASE WHEN e.type = 'sent' THEN e.from_email ELSE e.to_email END),
+    COUNT(*),
+    COALESCE(SUM(COALESCE(e.raw_size, octet_length(coalesce(e.body, '')) + octet_length(coalesce(e.html_body, '')))), 0)
+FROM emails e
+GROUP BY 1, 2
+ON CONFLICT (user_id, address) DO UPDATE
+SET message_count = EXCLUDED.message_count,
+    total_bytes = EXCLUDED.total_bytes;
+
 -- ============================================
 -- SAMPLE DATA (Optional - for testing)
 -- ============================================
@@ -0,0 +1,489 @@
+import User from '../models/User.js';
+import Email from '../models/Email.js';
+import { deleteEmailBlobs } from '../utils/attachmentService.js';
+import { MAIL_EVENTS, emitMailEvent, waitForMailEvent } from '../utils/mailEvents.js';
+import { MAX_PAGE_SIZE } from '../utils/pagination.js';
+import config from '../config/env.js';
+
+/**
+ * Address Controller
+ * Handles management of a user's temporary email addresses
+ */
+
+/**
+ * Find a temp address owned by the user that has not expired yet
+ * @param {string} userId - Owner ID
+ * @param {string} address - Temp email address
+ * @returns {Promise<Object|null>} temp_emails row
+ */
+const findOwnedAddress = async (userId, address) => {
+    const tempEmail = await User.findTempEmail(address);
+
+    if (!tempEmail || tempEmail.user_id !== userId) {
+        return null;
+    }
+
+    if (tempEmail.expires_at && new Date(tempEmail.expires_at) <= new Date()) {
+        return null;
+    }
+
+    return tempEmail;
+};
+
+/**
+ * Shape a temp_email_stats row for API responses
+ * @param {Object} stat - temp_email_stats row
+ * @returns {Object}
+ */
+const formatAddress = (stat) => {
+    const receivedCount = Number(stat.received_count) || 0;
+    const sentCount = Number(stat.sent_count) || 0;
+
+    return {
+        tempEmail: stat.email_address,
+        createdAt: stat.created_at,
+        expiresAt: stat.expires_at,
+        receivedCount,
+        sentCount,
+        unreadCount: Number(stat.unread_count) || 0,
+        messageCount: receivedCount + sentCount
+    };
+};
+
+/**
+ * @route   GET /email/addresses
+ * @desc    List the user's temporary email addresses
+ * @access  Private
+ */
+export const getTempEmails = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const now = new Date();
+
+        const stats = await User.getTempEmailStats(userId);
+
+        // Hide addresses that expired but haven't been cleaned up yet
+        const addresses = stats
+            .filter(stat => !stat.expires_at || new Date(stat.expires_at) > now)
+            .map(formatAddress);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                addresses,
+                count: addresses.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Temp Emails Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch temporary emails',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/addresses/unread
+ * @desc    Get unread counts per temporary email address
+ * @access  Private
+ */
+export const getUnreadCounts = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const now = new Date();
+
+        const stats = await User.getTempEmailStats(userId);
+
+        const counts = {};
+        let total = 0;
+
+        for (const stat of stats) {
+            if (stat.expires_at && new Date(stat.expires_at) <= now) continue;
+
+            counts[stat.email_address] = Number(stat.unread_count) || 0;
+            total += counts[stat.email_address];
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                counts,
+                total
+            }
+        });
+    } catch (error) {
+        console.error('[Get Unread Counts Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch unread counts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/addresses/:address
+ * @desc    Get details of a temporary email address
+ * @access  Private
+ */
+export const getTempEmail = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const stat = await User.getTempEmailStat(tempEmail.email_address);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                address: formatAddress(stat || tempEmail)
+            }
+        });
+    } catch (error) {
+        console.error('[Get Temp Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch temporary email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/addresses/:address
+ * @desc    Delete a temporary email address and its mail
+ * @access  Private
+ */
+export const deleteTempEmail = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const address = req.params.address.toLowerCase().trim();
+
+        const deleted = await User.deleteTempEmails(userId, [address]);
+
+        if (deleted.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found'
+            });
+        }
+
+        const deletedIds = await Email.deleteByAddress(userId, address);
+        await deleteEmailBlobs(deletedIds);
+
+        if (deletedIds.length > 0) {
+            emitMailEvent(MAIL_EVENTS.EMAIL_DELETED, userId, { ids: deletedIds });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Temporary email deleted successfully',
+            data: {
+                tempEmail: address,
+                deletedEmails: deletedIds.length
+            }
+        });
+    } catch (error) {
+        console.error('[Delete Temp Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete temporary email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/addresses/:address/extend
+ * @desc    Push out the expiry of a temporary email address
+ * @access  Private
+ */
+export const extendTempEmail = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const hours = req.body.hours ?? config.email.expiryHours;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        // Extend from the current expiry, but never beyond the policy window from now
+        const currentExpiry = new Date(tempEmail.expires_at || Date.now()).getTime();
+        const newExpiry = currentExpiry + hours * 60 * 60 * 1000;
+        const maxExpiry = Date.now() + config.email.maxExpiryHours * 60 * 60 * 1000;
+
+        if (newExpiry > maxExpiry) {
+            return res.status(400).json({
+                success: false,
+                message: `Addresses cannot be kept for more than ${config.email.maxExpiryHours} hours from now`,
+                data: {
+                    expiresAt: tempEmail.expires_at,
+                    maxExpiresAt: new Date(maxExpiry).toISOString()
+                }
+            });
+        }
+
+        const updated = await User.updateTempEmail(tempEmail.id, {
+            expires_at: new Date(newExpiry).toISOString()
+        });
+
+        // Stored mail follows the address, so the cleanup job doesn't purge it early
+        await Email.updateExpiryByAddress(userId, updated.email_address, updated.expires_at);
+
+        res.status(200).json({
+            success: true,
+            message: 'Temporary email expiry extended successfully',
+            data: {
+                tempEmail: updated.email_address,
+                expiresAt: updated.expires_at
+            }
+        });
+    } catch (error) {
+        console.error('[Extend Temp Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to extend temporary email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/addresses
+ * @desc    Delete several temporary email addresses and their mail
+ * @access  Private
+ */
+export const deleteTempEmails = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const addresses = [...new Set(req.body.addresses.map(address => address.toLowerCase().trim()))];
+
+        // Only the user's own addresses are matched
+        const deleted = await User.deleteTempEmails(userId, addresses);
+
+        const deletedIds = [];
+        for (const tempEmail of deleted) {
+            deletedIds.push(...await Email.deleteByAddress(userId, tempEmail.email_address));
+        }
+        await deleteEmailBlobs(deletedIds);
+
+        if (deletedIds.length > 0) {
+            emitMailEvent(MAIL_EVENTS.EMAIL_DELETED, userId, { ids: deletedIds });
+        }
+
+        const deletedAddresses = deleted.map(tempEmail => tempEmail.email_address);
+
+        res.status(200).json({
+            success: true,
+            message: `${deletedAddresses.length} temporary emails deleted successfully`,
+            data: {
+                deleted: deletedAddresses,
+                notFound: addresses.filter(address => !deletedAddresses.includes(address)),
+                deletedEmails: deletedIds.length
+            }
+        });
+    } catch (error) {
+        console.error('[Delete Temp Emails Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete temporary emails',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/addresses/:address/inbox
+ * @desc    Get the inbox of a single temporary email address
+ * @access  Private
+ */
+export const getAddressInbox = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const { emails, hasMore, nextCursor } = await Email.findByRecipient(userId, tempEmail.email_address, req.listOptions);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tempEmail: tempEmail.email_address,
+                emails,
+                count: emails.length,
+                hasMore,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('[Get Address Inbox Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch inbox',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/addresses/:address/latest-code
+ * @desc    Get the newest verification code / link received at an address (?since=ISO date)
+ * @access  Private
+ */
+export const getLatestCode = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { since } = req.query;
+
+        if (since !== undefined && Number.isNaN(Date.parse(since))) {
+            return res.status(400).json({
+                success: false,
+                message: 'since must be a valid date'
+            });
+        }
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const email = await Email.findLatestVerification(userId, tempEmail.email_address, {
+            since: since && new Date(since).toISOString()
+        });
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'No verification code found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tempEmail: tempEmail.email_address,
+                code: email.verification_code,
+                links: email.verification_links,
+                email: {
+                    id: email.id,
+                    from: email.from_email,
+                    subject: email.subject,
+                    receivedAt: email.created_at
+                }
+            }
+        });
+    } catch (error) {
+        console.error('[Get Latest Code Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch verification code',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/addresses/:address/wait
+ * @desc    Hold the request until a matching email arrives at an address or the timeout elapses
+ *          (?timeout=seconds, from=substring, subject=regex, since=ISO date to include mail already received)
+ * @access  Private
+ */
+export const waitForEmail = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { timeoutSeconds, from, subject, since } = req.waitOptions;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const matches = (email) => email.to_email === tempEmail.email_address &&
+            (!from || (email.from_email || '').toLowerCase().includes(from)) &&
+            (!subject || subject.test(email.subject || ''));
+
+        // Subscribe before looking at stored mail so nothing arrives unseen in between
+        const wait = waitForMailEvent(userId, MAIL_EVENTS.EMAIL_RECEIVED, matches, timeoutSeconds * 1000);
+        res.on('close', wait.cancel);
+
+        let email = null;
+
+        if (since) {
+            const { emails } = await Email.findByRecipient(userId, tempEmail.email_address, {
+                since,
+                ascending: true,
+                limit: MAX_PAGE_SIZE
+            });
+            email = emails.find(matches) || null;
+        }
+
+        if (email) {
+            wait.cancel();
+        } else {
+            email = await wait.promise;
+        }
+
+        // Client gave up while we were waiting
+        if (res.writableEnded || res.destroyed) {
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                tempEmail: tempEmail.email_address,
+                timedOut: !email,
+                email
+            }
+        });
+    } catch (error) {
+        console.error('[Wait For Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to wait for email',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    getTempEmails,
+    getUnreadCounts,
+    getTempEmail,
+    deleteTempEmail,
+    getAddressInbox,
+    getLatestCode,
+    waitForEmail,
+    extendTempEmail,
+    deleteTempEmails
+};
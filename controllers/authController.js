@@ -2,6 +2,7 @@ import User from '../models/User.js';
 import { generateToken } from '../utils/tokenManager.js';
 import { generateOTP, storeOTP, storeSignupOTP, verifyOTP as verifyOTPUtil, verifySignupOTP as verifySignupOTPUtil, isOTPVerified, clearOTP, clearSignupOTP } from '../utils/otpService.js';
 import { sendPasswordResetOTP, sendSignupOTP } from '../utils/emailService.js';
+import { getUsage as getQuotaUsage } from '../utils/quotaService.js';
 import passport from 'passport';
 import bcrypt from 'bcryptjs';
 
@@ -310,6 +311,31 @@ export const getCurrentUser = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /auth/me/usage
+ * @desc    Get current user's address, message and storage usage against their quotas
+ * @access  Private
+ */
+export const getUsage = async (req, res) => {
+    try {
+        const usage = await getQuotaUsage(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                usage
+            }
+        });
+    } catch (error) {
+        console.error('[Get Usage Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get usage',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @route   POST /auth/forgot-password
  * @desc    Request password reset OTP
@@ -482,6 +508,7 @@ export default {
     googleAuth,
     googleCallback,
     getCurrentUser,
+    getUsage,
     forgotPassword,
     verifyOTP,
     resetPassword
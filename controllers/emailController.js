@@ -1,7 +1,21 @@
 import Email from '../models/Email.js';
 import User from '../models/User.js';
-import { generateTempEmail } from '../utils/emailGenerator.js';
+import Label from '../models/Label.js';
+import Attachment from '../models/Attachment.js';
+import SpamReport from '../models/SpamReport.js';
+import { generateUniqueTempEmail, generateMultipleTempEmails, getAvailableDomains } from '../utils/emailGenerator.js';
 import { generateEmailContent } from '../utils/aiService.js';
+import { resolveRecipient, deliverInboundEmail, releaseQuarantinedEmail } from '../utils/inboundMail.js';
+import { composeRawMessage, sendTempEmail } from '../utils/emailService.js';
+import { getExpiryDate } from '../utils/expiryService.js';
+import { encodeOffsetCursor } from '../utils/pagination.js';
+import { saveAttachments, openAttachment, saveRawMessage, openRawMessage, deleteEmailBlobs } from '../utils/attachmentService.js';
+import { readHeaders, summarizeHeaders } from '../utils/headerParser.js';
+import { writeMbox, writeZip } from '../utils/mailboxExport.js';
+import { MAIL_EVENTS, emitMailEvent } from '../utils/mailEvents.js';
+import { sanitizeEmailHtml, getEmailContentSecurityPolicy, escapeHtml, textToHtml } from '../utils/htmlSanitizer.js';
+import { QUOTA_EXCEEDED, addAddressesWithinQuota, claimMessageQuota, releaseMessageQuota } from '../utils/quotaService.js';
+import config from '../config/env.js';
 
 
 /**
@@ -9,6 +23,28 @@ import { generateEmailContent } from '../utils/aiService.js';
  * Handles email operations (create temp email, inbox, outbox, send, delete)
  */
 
+/**
+ * HTML-escape search output, then turn the [[hl]] markers from search_emails into <mark> tags
+ */
+const formatHighlight = (text) => {
+    return escapeHtml(text)
+        .replace(/\[\[hl\]\]/g, '<mark>')
+        .replace(/\[\[\/hl\]\]/g, '</mark>');
+};
+
+/**
+ * Respond to a QUOTA_EXCEEDED error with the quota that was hit
+ */
+const sendQuotaError = (res, error) => {
+    return res.status(403).json({
+        success: false,
+        message: error.message,
+        data: {
+            quota: error.quota
+        }
+    });
+};
+
 /**
  * @route   POST /email/create
  * @desc    Create a new temporary email address
@@ -17,23 +53,58 @@ import { generateEmailContent } from '../utils/aiService.js';
 export const createTempEmail = async (req, res) => {
     try {
         const userId = req.user.id;
+        const { localPart, style, length } = req.body;
+        const domain = (req.body.domain || getAvailableDomains()[0]).toLowerCase().trim();
+        const expiryHours = req.body.expiryHours ?? config.email.expiryHours;
+
+        let tempEmail;
 
-        // Generate temporary email
-        const tempEmail = generateTempEmail();
+        if (localPart) {
+            // Use the requested address if nobody holds it yet
+            tempEmail = `${localPart.toLowerCase().trim()}@${domain}`;
+
+            if (await User.findTempEmail(tempEmail)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This email address is already taken'
+                });
+            }
+        } else {
+            // Generate temporary email, retrying on collisions with existing addresses
+            tempEmail = await generateUniqueTempEmail(
+                domain,
+                { style, length },
+                async (address) => !!(await User.findTempEmail(address))
+            );
+        }
 
-        // Add temp email to user
-        await User.addTempEmail(userId, tempEmail);
+        // Add temp email to user, if the address limit allows it
+        const [record] = await addAddressesWithinQuota(userId, [tempEmail], getExpiryDate(expiryHours));
 
         res.status(201).json({
             success: true,
             message: 'Temporary email created successfully',
             data: {
                 tempEmail,
-                expiresIn: `${process.env.EMAIL_EXPIRY_HOURS || 24} hours`
+                expiresIn: `${expiryHours} hours`,
+                expiresAt: record.expires_at
             }
         });
     } catch (error) {
+        if (error.code === QUOTA_EXCEEDED) {
+            return sendQuotaError(res, error);
+        }
+
         console.error('[Create Temp Email Error]', error);
+
+        // Lost a race for the same custom address (unique constraint)
+        if (error.message.includes('duplicate key')) {
+            return res.status(409).json({
+                success: false,
+                message: 'This email address is already taken'
+            });
+        }
+
         res.status(500).json({
             success: false,
             message: 'Failed to create temporary email',
@@ -42,6 +113,104 @@ export const createTempEmail = async (req, res) => {
     }
 };
 
+/**
+ * @route   POST /email/create/bulk
+ * @desc    Create several temporary email addresses at once
+ * @access  Private
+ */
+export const createBulkTempEmails = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { count, style, length } = req.body;
+        const domain = (req.body.domain || getAvailableDomains()[0]).toLowerCase().trim();
+        const expiryHours = req.body.expiryHours ?? config.email.expiryHours;
+
+        // Generate a batch, replacing any address that already exists (a few rounds at most)
+        let tempEmails = generateMultipleTempEmails(count, domain, { style, length });
+        let taken = await User.findExistingTempEmails(tempEmails);
+
+        for (let attempt = 0; attempt < 5 && taken.length > 0; attempt++) {
+            const available = tempEmails.filter(tempEmail => !taken.includes(tempEmail));
+            const replacements = generateMultipleTempEmails(taken.length, domain, { style, length })
+                .filter(tempEmail => !available.includes(tempEmail));
+
+            tempEmails = [...available, ...replacements];
+
+            // Replacements can collide too, so every batch is checked before it is inserted
+            taken = await User.findExistingTempEmails(tempEmails);
+        }
+
+        if (taken.length > 0 || tempEmails.length < count) {
+            return res.status(503).json({
+                success: false,
+                message: 'Could not generate enough unused addresses. Try again or use a different style.'
+            });
+        }
+
+        // Insert all addresses in one statement, if the address limit allows it
+        const records = await addAddressesWithinQuota(userId, tempEmails, getExpiryDate(expiryHours));
+
+        res.status(201).json({
+            success: true,
+            message: `${records.length} temporary emails created successfully`,
+            data: {
+                tempEmails: records.map(record => ({
+                    tempEmail: record.email_address,
+                    expiresAt: record.expires_at
+                })),
+                count: records.length,
+                expiresIn: `${expiryHours} hours`
+            }
+        });
+    } catch (error) {
+        if (error.code === QUOTA_EXCEEDED) {
+            return sendQuotaError(res, error);
+        }
+
+        console.error('[Create Bulk Temp Emails Error]', error);
+
+        // Another request took one of the checked addresses before the insert
+        if (error.message.includes('duplicate key')) {
+            return res.status(503).json({
+                success: false,
+                message: 'Could not generate enough unused addresses. Try again or use a different style.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create temporary emails',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/domains
+ * @desc    List domains available for temporary email addresses
+ * @access  Private
+ */
+export const getDomains = async (req, res) => {
+    try {
+        const domains = getAvailableDomains();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                domains,
+                defaultDomain: domains[0]
+            }
+        });
+    } catch (error) {
+        console.error('[Get Domains Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch domains',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @route   GET /email/inbox
  * @desc    Get user's inbox
@@ -51,13 +220,15 @@ export const getInbox = async (req, res) => {
     try {
         const userId = req.user.id;
 
-        const emails = await Email.getInbox(userId);
+        const { emails, hasMore, nextCursor } = await Email.getInbox(userId, req.listOptions);
 
         res.status(200).json({
             success: true,
             data: {
                 emails,
-                count: emails.length
+                count: emails.length,
+                hasMore,
+                nextCursor
             }
         });
     } catch (error) {
@@ -70,6 +241,36 @@ export const getInbox = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /email/quarantine
+ * @desc    Get user's quarantined (suspected spam) emails
+ * @access  Private
+ */
+export const getQuarantine = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { emails, hasMore, nextCursor } = await Email.getQuarantine(userId, req.listOptions);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                emails,
+                count: emails.length,
+                hasMore,
+                nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('[Get Quarantine Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch quarantine',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @route   GET /email/outbox
  * @desc    Get user's outbox
@@ -79,13 +280,15 @@ export const getOutbox = async (req, res) => {
     try {
         const userId = req.user.id;
 
-        const emails = await Email.getOutbox(userId);
+        const { emails, hasMore, nextCursor } = await Email.getOutbox(userId, req.listOptions);
 
         res.status(200).json({
             success: true,
             data: {
                 emails,
-                count: emails.length
+                count: emails.length,
+                hasMore,
+                nextCursor
             }
         });
     } catch (error) {
@@ -98,6 +301,80 @@ export const getOutbox = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /email/search
+ * @desc    Full-text search across user's inbox and outbox
+ * @access  Private
+ */
+export const searchEmails = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { query, type, limit, offset } = req.searchOptions;
+
+        const { emails, hasMore } = await Email.search(userId, query, { type, limit, offset });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                emails: emails.map(({ subject_highlight, snippet, ...email }) => ({
+                    ...email,
+                    highlights: {
+                        subject: formatHighlight(subject_highlight),
+                        snippet: formatHighlight(snippet)
+                    }
+                })),
+                count: emails.length,
+                hasMore,
+                nextCursor: hasMore ? encodeOffsetCursor(offset + emails.length) : null
+            }
+        });
+    } catch (error) {
+        console.error('[Search Emails Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search emails',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/export
+ * @desc    Export user's mail as an mbox file or a ZIP of .eml files
+ * @access  Private
+ */
+export const exportEmails = async (req, res) => {
+    const { format, ...options } = req.exportOptions;
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`tempmailx-export-${date}.${format}`);
+    res.set('Content-Type', format === 'zip' ? 'application/zip' : 'application/mbox');
+
+    try {
+        const count = format === 'zip'
+            ? await writeZip(req.user.id, options, res)
+            : await writeMbox(req.user.id, options, res);
+
+        console.log(`[Export] Exported ${count} emails for user ${req.user.id} as ${format}`);
+    } catch (error) {
+        console.error('[Export Emails Error]', error);
+
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            res.removeHeader('Content-Type');
+
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to export emails',
+                error: error.message
+            });
+        }
+
+        // Already streaming - abort so the client sees a truncated download rather than a valid file
+        res.destroy(error);
+    }
+};
+
 /**
  * @route   GET /email/:id
  * @desc    Get email by ID
@@ -108,7 +385,7 @@ export const getEmailById = async (req, res) => {
         const { id } = req.params;
         const userId = req.user.id;
 
-        const email = await Email.findById(id);
+        let email = await Email.findById(id);
 
         if (!email || email.user_id !== userId) {
             return res.status(404).json({
@@ -117,10 +394,25 @@ export const getEmailById = async (req, res) => {
             });
         }
 
+        // Opening a received email marks it as read unless ?markRead=false
+        if (email.type === 'received' && !email.is_read && req.query.markRead !== 'false') {
+            email = await Email.update(id, { is_read: true });
+        }
+
+        const [labels, attachments] = await Promise.all([
+            Label.getForEmail(id),
+            Attachment.findByEmail(id)
+        ]);
+
         res.status(200).json({
             success: true,
             data: {
-                email
+                email: {
+                    ...email,
+                    labels,
+                    attachments: attachments.map(Attachment.toJSON),
+                    headerSummary: summarizeHeaders(email.headers)
+                }
             }
         });
     } catch (error) {
@@ -133,6 +425,108 @@ export const getEmailById = async (req, res) => {
     }
 };
 
+/**
+ * @route   GET /email/:id/html
+ * @desc    Get a sanitized HTML rendering of an email (?blockImages=true drops remote images;
+ *          always dropped for quarantined mail)
+ * @access  Private
+ */
+export const getEmailHtml = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const email = await Email.findById(id);
+
+        if (!email || email.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        const blockImages = req.query.blockImages === 'true' || email.is_quarantined;
+
+        // Plain text mail is escaped rather than sanitized
+        const rendered = email.html_body
+            ? sanitizeEmailHtml(email.html_body, { blockImages })
+            : { html: textToHtml(email.body), trackersRemoved: 0, imagesBlocked: 0 };
+
+        const contentSecurityPolicy = getEmailContentSecurityPolicy(blockImages);
+
+        res.set('Content-Security-Policy', contentSecurityPolicy);
+        res.status(200).json({
+            success: true,
+            data: {
+                html: rendered.html,
+                isHtml: Boolean(email.html_body),
+                trackersRemoved: rendered.trackersRemoved,
+                imagesBlocked: rendered.imagesBlocked,
+                // For a <meta http-equiv> in the frontend's srcdoc iframe
+                contentSecurityPolicy
+            }
+        });
+    } catch (error) {
+        console.error('[Get Email HTML Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/:id/raw
+ * @desc    Download the raw RFC 822 source of an email (.eml)
+ * @access  Private
+ */
+export const getRawEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const email = await Email.findById(id);
+
+        if (!email || email.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found'
+            });
+        }
+
+        // Mail stored before raw sources were kept has none
+        if (email.raw_size === null || email.raw_size === undefined) {
+            return res.status(404).json({
+                success: false,
+                message: 'Raw source is not available for this email'
+            });
+        }
+
+        const stream = await openRawMessage(id);
+
+        res.attachment(`${id}.eml`);
+        res.set({
+            'Content-Type': 'message/rfc822',
+            'Content-Length': email.raw_size,
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        stream.on('error', (error) => {
+            console.error('[Get Raw Email Error]', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('[Get Raw Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get raw email',
+            error: error.message
+        });
+    }
+};
+
 /**
  * @route   POST /email/send
  * @desc    Send an email
@@ -140,40 +534,338 @@ export const getEmailById = async (req, res) => {
  */
 export const sendEmail = async (req, res) => {
     try {
-        const { from, to, subject, body } = req.body;
+        const { from, to, subject, body, html } = req.body;
         const userId = req.user.id;
 
+        // Files uploaded as multipart/form-data (see middleware/upload.js)
+        const files = (req.files || []).map(file => ({
+            filename: file.originalname,
+            contentType: file.mimetype,
+            content: file.buffer
+        }));
+
         // Verify user owns the 'from' temp email
-        const tempEmails = await User.getTempEmails(userId);
-        if (!tempEmails.includes(from)) {
+        const tempEmail = await User.findTempEmail(from);
+        if (!tempEmail || tempEmail.user_id !== userId) {
             return res.status(403).json({
                 success: false,
                 message: 'You can only send emails from your temporary email addresses'
             });
         }
 
-        // Create email in outbox
-        const email = await Email.create({
-            from,
-            to,
-            subject,
-            body,
-            type: 'sent',
-            userId
+        if (tempEmail.expires_at && new Date(tempEmail.expires_at) <= new Date()) {
+            return res.status(403).json({
+                success: false,
+                message: 'This temporary email address has expired'
+            });
+        }
+
+        // Build the exact source up front so the stored copy matches what is sent
+        const raw = await composeRawMessage({ from, to, subject, body, html, attachments: files });
+
+        // The outbox copy is stored under the sender address
+        await claimMessageQuota(userId, from, raw.length);
+
+        // Record the email in the outbox before handing it to SMTP
+        let email;
+
+        try {
+            email = await Email.create({
+                from,
+                to,
+                subject,
+                body,
+                html,
+                headers: await readHeaders(raw),
+                rawSize: raw.length,
+                type: 'sent',
+                userId,
+                deliveryStatus: 'queued',
+                expiresAt: tempEmail.expires_at
+            });
+        } catch (error) {
+            // Nothing was stored, so the claimed room is given back
+            await releaseMessageQuota(userId, from, raw.length);
+            throw error;
+        }
+
+        let attachments;
+
+        try {
+            await saveRawMessage(email.id, raw);
+            attachments = (await saveAttachments(email, files)).map(Attachment.toJSON);
+        } catch (error) {
+            // Nothing was sent: remove the incomplete copy so a retry doesn't leave a second one.
+            // Deleting the row also gives back its quota.
+            try {
+                await Email.deleteById(email.id);
+                await deleteEmailBlobs([email.id]);
+            } catch (rollbackError) {
+                console.error(`[Send Email] Failed to remove incomplete email ${email.id}:`, rollbackError.message);
+            }
+
+            throw error;
+        }
+
+        try {
+            const result = await sendTempEmail({ from, to, raw });
+
+            const sentEmail = await Email.update(email.id, {
+                delivery_status: 'sent',
+                smtp_response: result.response,
+                message_id: result.messageId,
+                sent_at: new Date().toISOString()
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Email sent successfully',
+                data: {
+                    email: {
+                        ...sentEmail,
+                        attachments
+                    }
+                }
+            });
+        } catch (deliveryError) {
+            const failedEmail = await Email.update(email.id, {
+                delivery_status: 'failed',
+                smtp_response: deliveryError.response || deliveryError.message
+            });
+
+            // Not configured is our problem; anything else came from the SMTP server
+            const status = deliveryError.message.includes('not configured') ? 503 : 502;
+
+            res.status(status).json({
+                success: false,
+                message: 'Email could not be delivered',
+                error: deliveryError.response || deliveryError.message,
+                data: {
+                    email: {
+                        ...failedEmail,
+                        attachments
+                    }
+                }
+            });
+        }
+    } catch (error) {
+        if (error.code === QUOTA_EXCEEDED) {
+            return sendQuotaError(res, error);
+        }
+
+        console.error('[Send Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send email',
+            error: error.message
         });
+    }
+};
 
-        res.status(201).json({
+/**
+ * @route   PATCH /email/:id
+ * @desc    Update read, starred and archived state of an email
+ * @access  Private
+ */
+export const updateEmailState = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const email = await Email.findById(id);
+        if (!email || email.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found or expired'
+            });
+        }
+
+        const updated = await Email.update(id, req.stateUpdates);
+
+        res.status(200).json({
             success: true,
-            message: 'Email sent successfully',
+            message: 'Email updated successfully',
             data: {
-                email
+                email: updated
             }
         });
     } catch (error) {
-        console.error('[Send Email Error]', error);
+        console.error('[Update Email State Error]', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to send email',
+            message: 'Failed to update email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PATCH /email/bulk
+ * @desc    Update read, starred and archived state of several emails
+ * @access  Private
+ */
+export const updateEmailsState = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const ids = [...new Set(req.body.ids)];
+
+        // Only the user's own emails are matched
+        const updatedIds = await Email.updateMany(userId, ids, req.stateUpdates);
+
+        res.status(200).json({
+            success: true,
+            message: `${updatedIds.length} emails updated successfully`,
+            data: {
+                updated: updatedIds,
+                notFound: ids.filter(id => !updatedIds.includes(id))
+            }
+        });
+    } catch (error) {
+        console.error('[Update Emails State Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update emails',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/:id/release
+ * @desc    Move a quarantined email to the inbox
+ * @access  Private
+ */
+export const releaseEmail = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const email = await Email.findById(id);
+        if (!email || email.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found or expired'
+            });
+        }
+
+        if (!email.is_quarantined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is not quarantined'
+            });
+        }
+
+        const released = await releaseQuarantinedEmail(userId, email);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email released to the inbox',
+            data: {
+                email: released
+            }
+        });
+    } catch (error) {
+        console.error('[Release Email Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to release email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/:id/report-spam
+ * @desc    Report a received email as spam: it is quarantined and later mail from the sender scores higher
+ * @access  Private
+ */
+export const reportSpam = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const userId = req.user.id;
+
+        const email = await Email.findById(id);
+        if (!email || email.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found or expired'
+            });
+        }
+
+        if (email.type !== 'received') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only received emails can be reported as spam'
+            });
+        }
+
+        const report = await SpamReport.create({
+            userId,
+            emailId: email.id,
+            sender: email.from_email
+        });
+
+        const updated = email.is_quarantined
+            ? email
+            : await Email.update(email.id, { is_quarantined: true });
+
+        res.status(200).json({
+            success: true,
+            message: 'Email reported as spam',
+            data: {
+                email: updated,
+                report
+            }
+        });
+    } catch (error) {
+        console.error('[Report Spam Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to report email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private
+ */
+export const downloadAttachment = async (req, res) => {
+    try {
+        const { id, attachmentId } = req.params;
+        const userId = req.user.id;
+
+        const attachment = await Attachment.findById(attachmentId);
+
+        if (!attachment || attachment.email_id !== id || attachment.user_id !== userId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        const stream = await openAttachment(attachment);
+
+        // Always download, never render user content on the API origin
+        res.attachment(attachment.filename);
+        res.set({
+            'Content-Type': attachment.content_type,
+            'Content-Length': attachment.size_bytes,
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        stream.on('error', (error) => {
+            console.error('[Download Attachment Error]', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('[Download Attachment Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment',
             error: error.message
         });
     }
@@ -199,6 +891,8 @@ export const deleteEmail = async (req, res) => {
         }
 
         await Email.deleteById(id);
+        await deleteEmailBlobs([id]);
+        emitMailEvent(MAIL_EVENTS.EMAIL_DELETED, userId, { ids: [id] });
 
         res.status(200).json({
             success: true,
@@ -221,27 +915,45 @@ export const deleteEmail = async (req, res) => {
  */
 export const simulateReceive = async (req, res) => {
     try {
-        const { to, from, subject, body } = req.body;
+        const { to, from, subject, body, html } = req.body;
         const userId = req.user.id;
 
-        // Verify user owns the 'to' temp email
-        const tempEmails = await User.getTempEmails(userId);
-        if (!tempEmails.includes(to)) {
+        // Verify user owns the 'to' temp email and it can still receive mail
+        const tempEmail = await resolveRecipient(to);
+        if (!tempEmail || tempEmail.user_id !== userId) {
             return res.status(404).json({
                 success: false,
-                message: 'Temporary email address not found'
+                message: 'Temporary email address not found or expired'
             });
         }
 
-        // Create email in inbox
-        const email = await Email.create({
+        const message = {
             from: from || 'test@example.com',
             to,
             subject: subject || 'Test Email',
             body: body || 'This is a test email.',
-            type: 'received',
-            userId
-        });
+            html: typeof html === 'string' ? html : null
+        };
+
+        // Give the simulated mail a real source and headers, like mail arriving over SMTP
+        const raw = await composeRawMessage(message);
+
+        // Deliver through the same path as mail arriving over SMTP (including mail rules)
+        const email = await deliverInboundEmail({
+            ...message,
+            headers: await readHeaders(raw),
+            raw
+        }, userId);
+
+        if (!email) {
+            return res.status(200).json({
+                success: true,
+                message: 'Email discarded by a filtering rule',
+                data: {
+                    email: null
+                }
+            });
+        }
 
         res.status(201).json({
             success: true,
@@ -251,6 +963,20 @@ export const simulateReceive = async (req, res) => {
             }
         });
     } catch (error) {
+        if (error.code === 'RULE_REJECTED') {
+            return res.status(422).json({
+                success: false,
+                message: 'Email rejected by a filtering rule',
+                data: {
+                    ruleId: error.ruleId
+                }
+            });
+        }
+
+        if (error.code === QUOTA_EXCEEDED) {
+            return sendQuotaError(res, error);
+        }
+
         console.error('[Simulate Receive Error]', error);
         res.status(500).json({
             success: false,
@@ -316,10 +1042,22 @@ export const generateAIEmail = async (req, res) => {
 
 export default {
     createTempEmail,
+    createBulkTempEmails,
+    getDomains,
     getInbox,
+    getQuarantine,
     getOutbox,
+    searchEmails,
+    exportEmails,
     getEmailById,
+    getEmailHtml,
+    getRawEmail,
+    updateEmailState,
+    updateEmailsState,
+    releaseEmail,
+    reportSpam,
     sendEmail,
+    downloadAttachment,
     deleteEmail,
     simulateReceive,
     generateAIEmail
@@ -0,0 +1,29 @@
+import { openEventStream } from '../utils/eventStream.js';
+
+/**
+ * Event Controller
+ * Realtime mailbox updates over Server-Sent Events
+ */
+
+/**
+ * @route   GET /email/events
+ * @desc    Stream email.received, email.deleted and address.expired events for the user
+ *          (replays missed events from the Last-Event-ID header or ?lastEventId=)
+ * @access  Private (Bearer token or ?token=)
+ */
+export const streamEvents = (req, res) => {
+    try {
+        openEventStream(req.user.id, req, res);
+    } catch (error) {
+        console.error('[Stream Events Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open event stream',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    streamEvents
+};
@@ -0,0 +1,526 @@
+import ForwardingRule from '../models/ForwardingRule.js';
+import User from '../models/User.js';
+import config from '../config/env.js';
+import { generateOTP, storeForwardingOTP, verifyForwardingOTP, clearForwardingOTP, recordForwardingOTPSend } from '../utils/otpService.js';
+import { sendForwardingOTP } from '../utils/emailService.js';
+
+/**
+ * Forwarding Controller
+ * Handles forwarding rules from temp addresses to verified real mailboxes
+ */
+
+const RULE_LOCKED_MESSAGE = 'Too many wrong verification codes. Delete this forwarding rule and create it again.';
+
+/**
+ * Find a temp address owned by the user that has not expired yet
+ * @param {string} userId - Owner ID
+ * @param {string} address - Temp email address
+ * @returns {Promise<Object|null>} temp_emails row
+ */
+const findOwnedAddress = async (userId, address) => {
+    const tempEmail = await User.findTempEmail(address);
+
+    if (!tempEmail || tempEmail.user_id !== userId) {
+        return null;
+    }
+
+    if (tempEmail.expires_at && new Date(tempEmail.expires_at) <= new Date()) {
+        return null;
+    }
+
+    return tempEmail;
+};
+
+/**
+ * Find a forwarding rule owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedRule = async (userId, id) => {
+    const rule = await ForwardingRule.findById(id);
+
+    return rule && rule.user_id === userId ? rule : null;
+};
+
+/**
+ * Convert expiresInHours from a request into an expires_at value
+ * @param {number|null} hours - Hours from now, or null for no limit
+ * @returns {string|null}
+ */
+const toExpiresAt = (hours) => {
+    return hours ? new Date(Date.now() + hours * 60 * 60 * 1000).toISOString() : null;
+};
+
+/**
+ * Whether a rule has had too many wrong verification codes
+ * @param {Object} rule - Forwarding rule
+ * @returns {boolean}
+ */
+const isRuleLocked = (rule) => {
+    return rule.otp_failed_attempts >= config.forwarding.maxOtpFailedAttempts;
+};
+
+/**
+ * Check the send limits before a verification code is mailed, and count the send against the user
+ * @param {string} userId - User ID
+ * @param {Object|null} rule - Forwarding rule, or null for a rule about to be created
+ * @returns {Object|null} { status, message, retryAfter? } if the code may not be sent
+ */
+const checkOTPSendLimits = (userId, rule) => {
+    const { otpResendCooldownSeconds, maxOtpSendsPerRule, maxOtpSendsPerUserPerHour } = config.forwarding;
+
+    if (rule) {
+        if (isRuleLocked(rule)) {
+            return {
+                status: 423,
+                message: RULE_LOCKED_MESSAGE
+            };
+        }
+
+        if (rule.otp_send_count >= maxOtpSendsPerRule) {
+            return {
+                status: 429,
+                message: `A forwarding rule can be sent at most ${maxOtpSendsPerRule} verification codes. Delete it and create it again.`
+            };
+        }
+
+        const waitMs = rule.otp_sent_at
+            ? new Date(rule.otp_sent_at).getTime() + otpResendCooldownSeconds * 1000 - Date.now()
+            : 0;
+
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+
+            return {
+                status: 429,
+                message: `Please wait ${retryAfter} seconds before requesting another code`,
+                retryAfter
+            };
+        }
+    }
+
+    if (!recordForwardingOTPSend(userId, maxOtpSendsPerUserPerHour)) {
+        return {
+            status: 429,
+            message: `You can request at most ${maxOtpSendsPerUserPerHour} forwarding verification codes per hour`,
+            retryAfter: 60 * 60
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Reply to a request refused by checkOTPSendLimits
+ */
+const sendLimitError = (res, limit) => {
+    if (limit.retryAfter) {
+        res.set('Retry-After', String(limit.retryAfter));
+    }
+
+    return res.status(limit.status).json({
+        success: false,
+        message: limit.message
+    });
+};
+
+/**
+ * Generate a new OTP for a rule and mail it to the destination
+ * Like signup, a failed send is degraded to logging the code so the flow can be tested.
+ * @param {Object} rule - Forwarding rule
+ * @returns {Promise<Object>} { sent, warning }
+ */
+const sendRuleOTP = async (rule) => {
+    const { otpExpiryMinutes } = config.forwarding;
+    const otp = generateOTP();
+
+    storeForwardingOTP(rule.id, otp, otpExpiryMinutes);
+
+    await ForwardingRule.update(rule.id, {
+        otp_send_count: rule.otp_send_count + 1,
+        otp_sent_at: new Date().toISOString()
+    });
+
+    try {
+        await sendForwardingOTP(rule.destination, otp, rule.address, otpExpiryMinutes);
+
+        console.log(`[Forwarding OTP] OTP sent to ${rule.destination}`);
+
+        return { sent: true };
+    } catch (emailError) {
+        console.error('[Forwarding OTP] Email sending failed:', emailError);
+
+        // GRACEFUL DEGRADATION: Log OTP to console for development/testing
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        console.log(`⚠️  EMAIL SERVICE UNAVAILABLE`);
+        console.log(`📧 Forwarding: ${rule.address} → ${rule.destination}`);
+        console.log(`🔑 OTP Code: ${otp}`);
+        console.log(`⏰ Expires in: ${otpExpiryMinutes} minutes`);
+        console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+        return {
+            sent: false,
+            warning: 'Email delivery failed - check server logs'
+        };
+    }
+};
+
+/**
+ * @route   GET /email/addresses/:address/forwarding
+ * @desc    List forwarding rules for a temporary email address
+ * @access  Private
+ */
+export const getForwardingRules = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const rules = await ForwardingRule.findByAddress(userId, tempEmail.email_address);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                rules,
+                count: rules.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Forwarding Rules Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch forwarding rules',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/addresses/:address/forwarding
+ * @desc    Create a forwarding rule and send a verification code to the destination
+ * @access  Private
+ */
+export const createForwardingRule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { destination, fromFilter, subjectFilter, expiresInHours } = req.body;
+
+        const tempEmail = await findOwnedAddress(userId, req.params.address);
+
+        if (!tempEmail) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found or expired'
+            });
+        }
+
+        const existing = await ForwardingRule.findByAddress(userId, tempEmail.email_address);
+
+        if (existing.some(rule => rule.destination === destination.toLowerCase().trim())) {
+            return res.status(409).json({
+                success: false,
+                message: 'This address already forwards to that destination'
+            });
+        }
+
+        if (existing.length >= config.forwarding.maxRulesPerAddress) {
+            return res.status(400).json({
+                success: false,
+                message: `An address can forward to at most ${config.forwarding.maxRulesPerAddress} destinations`
+            });
+        }
+
+        const limit = checkOTPSendLimits(userId, null);
+        if (limit) {
+            return sendLimitError(res, limit);
+        }
+
+        const rule = await ForwardingRule.create({
+            userId,
+            tempEmailId: tempEmail.id,
+            address: tempEmail.email_address,
+            destination,
+            fromFilter,
+            subjectFilter,
+            expiresAt: toExpiresAt(expiresInHours)
+        });
+
+        const { sent, warning } = await sendRuleOTP(rule);
+
+        res.status(201).json({
+            success: true,
+            message: sent
+                ? 'Forwarding rule created. Enter the verification code sent to the destination to activate it.'
+                : 'Forwarding rule created. Note: Email service is currently unavailable. Please check server logs for the verification code.',
+            ...(warning && { warning }),
+            data: {
+                rule
+            }
+        });
+    } catch (error) {
+        console.error('[Create Forwarding Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create forwarding rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/forwarding/:ruleId/verify
+ * @desc    Verify a forwarding destination with the emailed code
+ * @access  Private
+ */
+export const verifyForwardingRule = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Forwarding rule not found'
+            });
+        }
+
+        if (rule.is_verified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Forwarding destination is already verified'
+            });
+        }
+
+        if (isRuleLocked(rule)) {
+            return res.status(423).json({
+                success: false,
+                message: RULE_LOCKED_MESSAGE
+            });
+        }
+
+        const result = verifyForwardingOTP(rule.id, req.body.otp.trim());
+
+        if (!result.success) {
+            const failed = await ForwardingRule.update(rule.id, {
+                otp_failed_attempts: rule.otp_failed_attempts + 1
+            });
+
+            if (isRuleLocked(failed)) {
+                clearForwardingOTP(rule.id);
+
+                return res.status(423).json({
+                    success: false,
+                    message: RULE_LOCKED_MESSAGE
+                });
+            }
+
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const updated = await ForwardingRule.update(rule.id, {
+            is_verified: true,
+            verified_at: new Date().toISOString()
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Forwarding destination verified successfully',
+            data: {
+                rule: updated
+            }
+        });
+    } catch (error) {
+        console.error('[Verify Forwarding Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify forwarding destination',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/forwarding/:ruleId/resend
+ * @desc    Send a new verification code for an unverified forwarding rule
+ * @access  Private
+ */
+export const resendForwardingOTP = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Forwarding rule not found'
+            });
+        }
+
+        if (rule.is_verified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Forwarding destination is already verified'
+            });
+        }
+
+        const limit = checkOTPSendLimits(req.user.id, rule);
+        if (limit) {
+            return sendLimitError(res, limit);
+        }
+
+        const { sent, warning } = await sendRuleOTP(rule);
+
+        res.status(200).json({
+            success: true,
+            message: sent
+                ? 'Verification code has been sent to the destination.'
+                : 'Verification code generated. Note: Email service is currently unavailable. Please check server logs for the verification code.',
+            ...(warning && { warning })
+        });
+    } catch (error) {
+        console.error('[Resend Forwarding OTP Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resend verification code',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PATCH /email/forwarding/:ruleId
+ * @desc    Update a forwarding rule's filters, active state or time limit
+ * @access  Private
+ */
+export const updateForwardingRule = async (req, res) => {
+    try {
+        const { fromFilter, subjectFilter, isActive, expiresInHours } = req.body;
+
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Forwarding rule not found'
+            });
+        }
+
+        const updates = {};
+        if (fromFilter !== undefined) updates.from_filter = fromFilter?.trim() || null;
+        if (subjectFilter !== undefined) updates.subject_filter = subjectFilter?.trim() || null;
+        if (isActive !== undefined) updates.is_active = isActive;
+        if (expiresInHours !== undefined) updates.expires_at = toExpiresAt(expiresInHours);
+
+        const updated = await ForwardingRule.update(rule.id, updates);
+
+        res.status(200).json({
+            success: true,
+            message: 'Forwarding rule updated successfully',
+            data: {
+                rule: updated
+            }
+        });
+    } catch (error) {
+        console.error('[Update Forwarding Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update forwarding rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/forwarding/:ruleId
+ * @desc    Delete a forwarding rule and its forward log
+ * @access  Private
+ */
+export const deleteForwardingRule = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Forwarding rule not found'
+            });
+        }
+
+        await ForwardingRule.deleteById(rule.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Forwarding rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('[Delete Forwarding Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete forwarding rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/forwarding/:ruleId/forwards
+ * @desc    Get a rule's forwarded emails, newest first (?limit=1-100, default 50)
+ * @access  Private
+ */
+export const getForwardedEmails = async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Limit must be a whole number between 1 and 100'
+            });
+        }
+
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Forwarding rule not found'
+            });
+        }
+
+        const forwards = await ForwardingRule.findForwards(rule.id, limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                forwards,
+                count: forwards.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Forwarded Emails Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch forwarded emails',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    getForwardingRules,
+    createForwardingRule,
+    verifyForwardingRule,
+    resendForwardingOTP,
+    updateForwardingRule,
+    deleteForwardingRule,
+    getForwardedEmails
+};
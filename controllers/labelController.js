@@ -0,0 +1,308 @@
+import Label from '../models/Label.js';
+import Email from '../models/Email.js';
+
+/**
+ * Label Controller
+ * Handles user-defined labels and assigning them to emails
+ */
+
+/**
+ * Find a label owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} id - Label ID
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedLabel = async (userId, id) => {
+    const label = await Label.findById(id);
+
+    return label && label.user_id === userId ? label : null;
+};
+
+/**
+ * Find an email owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} id - Email ID
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedEmail = async (userId, id) => {
+    const email = await Email.findById(id);
+
+    return email && email.user_id === userId ? email : null;
+};
+
+/**
+ * @route   GET /email/labels
+ * @desc    List user's labels
+ * @access  Private
+ */
+export const getLabels = async (req, res) => {
+    try {
+        const labels = await Label.findByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                labels,
+                count: labels.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Labels Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch labels',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/labels
+ * @desc    Create a label
+ * @access  Private
+ */
+export const createLabel = async (req, res) => {
+    try {
+        const { name, color } = req.body;
+
+        const label = await Label.create({ userId: req.user.id, name, color });
+
+        res.status(201).json({
+            success: true,
+            message: 'Label created successfully',
+            data: {
+                label
+            }
+        });
+    } catch (error) {
+        console.error('[Create Label Error]', error);
+
+        if (error.message.includes('duplicate key')) {
+            return res.status(409).json({
+                success: false,
+                message: 'A label with this name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create label',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PATCH /email/labels/:labelId
+ * @desc    Rename or recolour a label
+ * @access  Private
+ */
+export const updateLabel = async (req, res) => {
+    try {
+        const { name, color } = req.body;
+
+        const label = await findOwnedLabel(req.user.id, req.params.labelId);
+
+        if (!label) {
+            return res.status(404).json({
+                success: false,
+                message: 'Label not found'
+            });
+        }
+
+        const updated = await Label.update(label.id, {
+            ...(name !== undefined && { name: name.trim() }),
+            ...(color !== undefined && { color: color.toLowerCase() })
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Label updated successfully',
+            data: {
+                label: updated
+            }
+        });
+    } catch (error) {
+        console.error('[Update Label Error]', error);
+
+        if (error.message.includes('duplicate key')) {
+            return res.status(409).json({
+                success: false,
+                message: 'A label with this name already exists'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update label',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/labels/:labelId
+ * @desc    Delete a label (removes it from all emails)
+ * @access  Private
+ */
+export const deleteLabel = async (req, res) => {
+    try {
+        const label = await findOwnedLabel(req.user.id, req.params.labelId);
+
+        if (!label) {
+            return res.status(404).json({
+                success: false,
+                message: 'Label not found'
+            });
+        }
+
+        await Label.deleteById(label.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Label deleted successfully'
+        });
+    } catch (error) {
+        console.error('[Delete Label Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete label',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PUT /email/:id/labels
+ * @desc    Replace the labels assigned to an email
+ * @access  Private
+ */
+export const setEmailLabels = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const labelIds = [...new Set(req.body.labelIds)];
+
+        const email = await findOwnedEmail(userId, req.params.id);
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found or expired'
+            });
+        }
+
+        // Every label must belong to the user
+        const labels = labelIds.length > 0 ? await Label.findByIds(userId, labelIds) : [];
+
+        if (labels.length !== labelIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more labels were not found'
+            });
+        }
+
+        await Label.setForEmail(userId, email.id, labelIds);
+
+        res.status(200).json({
+            success: true,
+            message: 'Email labels updated successfully',
+            data: {
+                labels
+            }
+        });
+    } catch (error) {
+        console.error('[Set Email Labels Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update email labels',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/:id/labels/:labelId
+ * @desc    Add a label to an email
+ * @access  Private
+ */
+export const addEmailLabel = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const [email, label] = await Promise.all([
+            findOwnedEmail(userId, req.params.id),
+            findOwnedLabel(userId, req.params.labelId)
+        ]);
+
+        if (!email || !label) {
+            return res.status(404).json({
+                success: false,
+                message: !email ? 'Email not found or expired' : 'Label not found'
+            });
+        }
+
+        await Label.addToEmail(userId, email.id, [label.id]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Label added to email',
+            data: {
+                labels: await Label.getForEmail(email.id)
+            }
+        });
+    } catch (error) {
+        console.error('[Add Email Label Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add label to email',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/:id/labels/:labelId
+ * @desc    Remove a label from an email
+ * @access  Private
+ */
+export const removeEmailLabel = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const email = await findOwnedEmail(userId, req.params.id);
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email not found or expired'
+            });
+        }
+
+        await Label.removeFromEmail(email.id, [req.params.labelId]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Label removed from email',
+            data: {
+                labels: await Label.getForEmail(email.id)
+            }
+        });
+    } catch (error) {
+        console.error('[Remove Email Label Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove label from email',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    getLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    setEmailLabels,
+    addEmailLabel,
+    removeEmailLabel
+};
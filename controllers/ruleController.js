@@ -0,0 +1,357 @@
+import MailRule from '../models/MailRule.js';
+import Email from '../models/Email.js';
+import Label from '../models/Label.js';
+import ForwardingRule from '../models/ForwardingRule.js';
+import config from '../config/env.js';
+import { matchesRule, fromStoredEmail } from '../utils/ruleEngine.js';
+import { MAX_PAGE_SIZE, decodeCursor } from '../utils/pagination.js';
+
+/**
+ * Rule Controller
+ * Handles CRUD for inbound filtering rules and dry runs against the inbox
+ */
+
+/**
+ * Find a rule owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} id - Rule ID
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedRule = async (userId, id) => {
+    const rule = await MailRule.findById(id);
+
+    return rule && rule.user_id === userId ? rule : null;
+};
+
+/**
+ * Keep only the fields each condition uses
+ */
+const normalizeConditions = (conditions) => {
+    return conditions.map(({ field, operator, value }) => ({ field, operator, value: value.trim() }));
+};
+
+/**
+ * Keep only the fields each action type uses
+ */
+const normalizeActions = (actions) => {
+    return actions.map(({ type, labelId, destination }) => {
+        if (type === 'label') return { type, labelId };
+        if (type === 'forward') return { type, destination: destination.toLowerCase().trim() };
+        return { type };
+    });
+};
+
+/**
+ * Check that label actions use the user's labels and forward actions use verified destinations
+ * @param {string} userId - Owner ID
+ * @param {Array<Object>} actions - Normalized actions
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkActionTargets = async (userId, actions) => {
+    const labelIds = [...new Set(actions.filter(action => action.type === 'label').map(action => action.labelId))];
+
+    if (labelIds.length > 0) {
+        const labels = await Label.findByIds(userId, labelIds);
+
+        if (labels.length !== labelIds.length) {
+            return 'One or more labels not found';
+        }
+    }
+
+    for (const action of actions.filter(action => action.type === 'forward')) {
+        const verified = await ForwardingRule.findVerifiedByDestination(userId, action.destination);
+
+        if (verified.length === 0) {
+            return `Forward destination ${action.destination} must first be verified with an active forwarding rule`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check a rule against the user's newest inbox messages
+ * @param {string} userId - Owner ID
+ * @param {Object} rule - { conditions, match_mode }
+ * @returns {Promise<Object>} { matches, scanned, truncated }
+ */
+const scanInbox = async (userId, rule) => {
+    const { dryRunScanLimit } = config.rules;
+    const matches = [];
+    let scanned = 0;
+    let cursor;
+    let hasMore = false;
+
+    do {
+        const page = await Email.getInbox(userId, {
+            limit: Math.min(MAX_PAGE_SIZE, dryRunScanLimit - scanned),
+            cursor
+        });
+
+        for (const email of page.emails) {
+            if (matchesRule(rule, fromStoredEmail(email))) {
+                matches.push({
+                    id: email.id,
+                    from_email: email.from_email,
+                    to_email: email.to_email,
+                    subject: email.subject,
+                    created_at: email.created_at
+                });
+            }
+        }
+
+        scanned += page.emails.length;
+        hasMore = page.hasMore;
+        cursor = hasMore ? decodeCursor(page.nextCursor) : null;
+    } while (hasMore && scanned < dryRunScanLimit);
+
+    return { matches, scanned, truncated: hasMore };
+};
+
+/**
+ * @route   GET /email/rules
+ * @desc    List user's mail rules in evaluation order
+ * @access  Private
+ */
+export const getRules = async (req, res) => {
+    try {
+        const rules = await MailRule.findByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                rules,
+                count: rules.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Rules Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rules',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/rules
+ * @desc    Create a mail rule
+ * @access  Private
+ */
+export const createRule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, conditions, matchMode, actions, priority, stopProcessing, isActive } = req.body;
+
+        const existing = await MailRule.findByUser(userId);
+        if (existing.length >= config.rules.maxPerUser) {
+            return res.status(400).json({
+                success: false,
+                message: `You can create at most ${config.rules.maxPerUser} rules`
+            });
+        }
+
+        const normalizedActions = normalizeActions(actions);
+
+        const targetError = await checkActionTargets(userId, normalizedActions);
+        if (targetError) {
+            return res.status(400).json({
+                success: false,
+                message: targetError
+            });
+        }
+
+        const rule = await MailRule.create({
+            userId,
+            name,
+            conditions: normalizeConditions(conditions),
+            matchMode,
+            actions: normalizedActions,
+            priority,
+            stopProcessing,
+            isActive
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Rule created successfully',
+            data: {
+                rule
+            }
+        });
+    } catch (error) {
+        console.error('[Create Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PATCH /email/rules/:ruleId
+ * @desc    Update a mail rule (conditions and actions are replaced as a whole)
+ * @access  Private
+ */
+export const updateRule = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { name, conditions, matchMode, actions, priority, stopProcessing, isActive } = req.body;
+
+        const rule = await findOwnedRule(userId, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rule not found'
+            });
+        }
+
+        const updates = {};
+
+        if (actions !== undefined) {
+            updates.actions = normalizeActions(actions);
+
+            const targetError = await checkActionTargets(userId, updates.actions);
+            if (targetError) {
+                return res.status(400).json({
+                    success: false,
+                    message: targetError
+                });
+            }
+        }
+
+        if (name !== undefined) updates.name = name.trim();
+        if (conditions !== undefined) updates.conditions = normalizeConditions(conditions);
+        if (matchMode !== undefined) updates.match_mode = matchMode;
+        if (priority !== undefined) updates.priority = priority;
+        if (stopProcessing !== undefined) updates.stop_processing = stopProcessing;
+        if (isActive !== undefined) updates.is_active = isActive;
+
+        const updated = await MailRule.update(rule.id, updates);
+
+        res.status(200).json({
+            success: true,
+            message: 'Rule updated successfully',
+            data: {
+                rule: updated
+            }
+        });
+    } catch (error) {
+        console.error('[Update Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/rules/:ruleId
+ * @desc    Delete a mail rule
+ * @access  Private
+ */
+export const deleteRule = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rule not found'
+            });
+        }
+
+        await MailRule.deleteById(rule.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Rule deleted successfully'
+        });
+    } catch (error) {
+        console.error('[Delete Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/rules/dry-run
+ * @desc    Report which inbox messages unsaved conditions would match
+ * @access  Private
+ */
+export const dryRunRule = async (req, res) => {
+    try {
+        const { conditions, matchMode } = req.body;
+
+        const result = await scanInbox(req.user.id, {
+            conditions: normalizeConditions(conditions),
+            match_mode: matchMode || 'all'
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...result,
+                count: result.matches.length
+            }
+        });
+    } catch (error) {
+        console.error('[Dry Run Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to dry-run rule',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/rules/:ruleId/dry-run
+ * @desc    Report which inbox messages a saved rule would match
+ * @access  Private
+ */
+export const dryRunSavedRule = async (req, res) => {
+    try {
+        const rule = await findOwnedRule(req.user.id, req.params.ruleId);
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rule not found'
+            });
+        }
+
+        const result = await scanInbox(req.user.id, rule);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...result,
+                count: result.matches.length
+            }
+        });
+    } catch (error) {
+        console.error('[Dry Run Rule Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to dry-run rule',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    dryRunRule,
+    dryRunSavedRule
+};
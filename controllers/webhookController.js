@@ -0,0 +1,302 @@
+import Webhook from '../models/Webhook.js';
+import User from '../models/User.js';
+import config from '../config/env.js';
+import { checkWebhookUrl, generateWebhookSecret, deliverWebhook } from '../utils/webhookService.js';
+
+/**
+ * Webhook Controller
+ * Handles webhook registration, the delivery log and test deliveries
+ */
+
+/**
+ * Find a webhook owned by the user
+ * @param {string} userId - Owner ID
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object|null>}
+ */
+const findOwnedWebhook = async (userId, id) => {
+    const webhook = await Webhook.findById(id);
+
+    return webhook && webhook.user_id === userId ? webhook : null;
+};
+
+/**
+ * Check that an address filter refers to one of the user's temp addresses
+ * @param {string} userId - Owner ID
+ * @param {string} address - Temp address
+ * @returns {Promise<boolean>}
+ */
+const ownsAddress = async (userId, address) => {
+    const tempEmail = await User.findTempEmail(address);
+
+    return !!tempEmail && tempEmail.user_id === userId;
+};
+
+/**
+ * @route   GET /email/webhooks
+ * @desc    List user's webhooks
+ * @access  Private
+ */
+export const getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.findByUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                webhooks: webhooks.map(Webhook.toJSON),
+                count: webhooks.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Webhooks Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch webhooks',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/webhooks
+ * @desc    Register a webhook for one temp address or (no address) the whole account
+ * @access  Private
+ */
+export const createWebhook = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { url, address, description } = req.body;
+
+        const existing = await Webhook.findByUser(userId);
+        if (existing.length >= config.webhooks.maxPerUser) {
+            return res.status(400).json({
+                success: false,
+                message: `You can register at most ${config.webhooks.maxPerUser} webhooks`
+            });
+        }
+
+        if (address && !(await ownsAddress(userId, address))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found'
+            });
+        }
+
+        const urlError = await checkWebhookUrl(url);
+        if (urlError) {
+            return res.status(400).json({
+                success: false,
+                message: urlError
+            });
+        }
+
+        const webhook = await Webhook.create({
+            userId,
+            url,
+            address,
+            description,
+            secret: generateWebhookSecret()
+        });
+
+        // The secret is only ever returned here and on rotation
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully',
+            data: {
+                webhook
+            }
+        });
+    } catch (error) {
+        console.error('[Create Webhook Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create webhook',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   PATCH /email/webhooks/:webhookId
+ * @desc    Update a webhook's url, address, description or active state, or rotate its secret
+ * @access  Private
+ */
+export const updateWebhook = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { url, address, description, isActive, rotateSecret } = req.body;
+
+        const webhook = await findOwnedWebhook(userId, req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        if (address && !(await ownsAddress(userId, address))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Temporary email address not found'
+            });
+        }
+
+        const urlError = url !== undefined ? await checkWebhookUrl(url) : null;
+        if (urlError) {
+            return res.status(400).json({
+                success: false,
+                message: urlError
+            });
+        }
+
+        const updates = {};
+        if (url !== undefined) updates.url = url;
+        if (address !== undefined) updates.address = address ? address.toLowerCase().trim() : null;
+        if (description !== undefined) updates.description = description?.trim() || null;
+        if (isActive !== undefined) updates.is_active = isActive;
+        if (rotateSecret) updates.secret = generateWebhookSecret();
+
+        const updated = await Webhook.update(webhook.id, updates);
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: {
+                webhook: rotateSecret ? updated : Webhook.toJSON(updated)
+            }
+        });
+    } catch (error) {
+        console.error('[Update Webhook Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update webhook',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   DELETE /email/webhooks/:webhookId
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private
+ */
+export const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.user.id, req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        await Webhook.deleteById(webhook.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        console.error('[Delete Webhook Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete webhook',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   GET /email/webhooks/:webhookId/deliveries
+ * @desc    Get a webhook's recent deliveries, newest first (?limit=1-100, default 50)
+ * @access  Private
+ */
+export const getWebhookDeliveries = async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Limit must be a whole number between 1 and 100'
+            });
+        }
+
+        const webhook = await findOwnedWebhook(req.user.id, req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        const deliveries = await Webhook.findDeliveries(webhook.id, limit);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                deliveries,
+                count: deliveries.length
+            }
+        });
+    } catch (error) {
+        console.error('[Get Webhook Deliveries Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch webhook deliveries',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /email/webhooks/:webhookId/test
+ * @desc    Send a signed webhook.test event once and return the result
+ * @access  Private
+ */
+export const testWebhook = async (req, res) => {
+    try {
+        const webhook = await findOwnedWebhook(req.user.id, req.params.webhookId);
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
+
+        const delivery = await deliverWebhook(webhook, 'webhook.test', {
+            webhookId: webhook.id,
+            address: webhook.address,
+            message: 'This is a test delivery from TempMailX'
+        }, { retry: false });
+
+        res.status(200).json({
+            success: true,
+            message: delivery.status === 'success' ? 'Test delivery succeeded' : 'Test delivery failed',
+            data: {
+                delivery
+            }
+        });
+    } catch (error) {
+        console.error('[Test Webhook Error]', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send test delivery',
+            error: error.message
+        });
+    }
+};
+
+export default {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    testWebhook
+};
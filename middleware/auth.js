@@ -45,6 +45,18 @@ export const authenticate = async (req, res, next) => {
     }
 };
 
+/**
+ * Authentication middleware for Server-Sent Events
+ * EventSource can't send headers, so the token may also be passed as ?token=
+ */
+export const authenticateEventStream = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+
+    return authenticate(req, res, next);
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't fail if not
@@ -71,5 +83,6 @@ export const optionalAuth = async (req, res, next) => {
 
 export default {
     authenticate,
+    authenticateEventStream,
     optionalAuth
 };
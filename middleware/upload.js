@@ -0,0 +1,65 @@
+import multer from 'multer';
+import config from '../config/env.js';
+
+/**
+ * Upload middleware for email attachments
+ */
+
+/**
+ * Check a MIME type against ATTACHMENT_ALLOWED_TYPES ("type/*" matches a family)
+ * @param {string} mimetype - Uploaded file MIME type
+ * @returns {boolean}
+ */
+const isAllowedType = (mimetype) => {
+    return config.attachments.allowedTypes.some(type => (
+        type.endsWith('/*') ? mimetype.startsWith(type.slice(0, -1)) : mimetype === type
+    ));
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: config.attachments.maxFileSizeMB * 1024 * 1024,
+        files: config.attachments.maxFiles
+    },
+    fileFilter: (req, file, callback) => {
+        if (isAllowedType(file.mimetype)) {
+            return callback(null, true);
+        }
+
+        const error = new Error(`File type ${file.mimetype} is not allowed`);
+        error.code = 'UNSUPPORTED_TYPE';
+        callback(error);
+    }
+});
+
+/**
+ * Accept multipart uploads in the "attachments" field (JSON bodies pass through untouched)
+ */
+export const uploadAttachments = (req, res, next) => {
+    upload.array('attachments', config.attachments.maxFiles)(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        const statusByCode = {
+            LIMIT_FILE_SIZE: 413,
+            UNSUPPORTED_TYPE: 415
+        };
+
+        const messageByCode = {
+            LIMIT_FILE_SIZE: `Each attachment must be at most ${config.attachments.maxFileSizeMB} MB`,
+            LIMIT_FILE_COUNT: `At most ${config.attachments.maxFiles} attachments are allowed`,
+            LIMIT_UNEXPECTED_FILE: `Attachments must be sent in the "attachments" field (max ${config.attachments.maxFiles})`
+        };
+
+        return res.status(statusByCode[error.code] || 400).json({
+            success: false,
+            message: messageByCode[error.code] || error.message
+        });
+    });
+};
+
+export default {
+    uploadAttachments
+};
@@ -1,7 +1,76 @@
+import config from '../config/env.js';
+import {
+    validateLocalPart,
+    isAllowedDomain,
+    getAvailableDomains,
+    GENERATION_STYLES,
+    SHORT_CODE_MIN_LENGTH,
+    SHORT_CODE_MAX_LENGTH
+} from '../utils/emailGenerator.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, decodeCursor, decodeOffsetCursor, isUuid } from '../utils/pagination.js';
+import {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    RULE_ACTIONS,
+    RULE_MATCH_MODES,
+    TERMINAL_ACTIONS,
+    ADDRESS_FIELDS
+} from '../utils/ruleEngine.js';
+import { compileSafeRegex } from '../utils/safeRegex.js';
+
 /**
  * Validation middleware for request data
  */
 
+/**
+ * Check a requested lifetime against the server's expiry policy
+ * @param {*} hours - Requested lifetime in hours
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkLifetimeHours = (hours) => {
+    const { minExpiryHours, maxExpiryHours } = config.email;
+
+    if (typeof hours !== 'number' || !Number.isFinite(hours)) {
+        return 'Lifetime (expiryHours) must be a number of hours';
+    }
+
+    if (hours < minExpiryHours || hours > maxExpiryHours) {
+        return `Lifetime must be between ${minExpiryHours} and ${maxExpiryHours} hours`;
+    }
+
+    return null;
+};
+
+/**
+ * Check the options shared by single and bulk temp email creation
+ * @param {Object} options - Request body (domain, style, length, expiryHours)
+ * @returns {Array<string>} Error messages
+ */
+const checkAddressOptions = ({ domain, style, length, expiryHours }) => {
+    const errors = [];
+
+    if (domain !== undefined && !isAllowedDomain(domain)) {
+        errors.push(`Domain must be one of: ${getAvailableDomains().join(', ')}`);
+    }
+
+    if (style !== undefined && !GENERATION_STYLES.includes(style)) {
+        errors.push(`Style must be one of: ${GENERATION_STYLES.join(', ')}`);
+    }
+
+    if (length !== undefined && (!Number.isInteger(length) || length < SHORT_CODE_MIN_LENGTH || length > SHORT_CODE_MAX_LENGTH)) {
+        errors.push(`Length must be a whole number between ${SHORT_CODE_MIN_LENGTH} and ${SHORT_CODE_MAX_LENGTH}`);
+    }
+
+    if (expiryHours !== undefined) {
+        const lifetimeError = checkLifetimeHours(expiryHours);
+        if (lifetimeError) {
+            errors.push(lifetimeError);
+        }
+    }
+
+    return errors;
+};
+
 /**
  * Validate signup request
  */
@@ -71,7 +140,7 @@ export const validateLogin = (req, res, next) => {
  * Validate email send request
  */
 export const validateEmailSend = (req, res, next) => {
-    const { from, to, subject, body } = req.body;
+    const { from, to, subject, body, html } = req.body;
 
     const errors = [];
 
@@ -93,6 +162,447 @@ export const validateEmailSend = (req, res, next) => {
         errors.push('Email body is required');
     }
 
+    if (html !== undefined && typeof html !== 'string') {
+        errors.push('HTML body (html) must be a string');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate temp email creation request
+ */
+export const validateTempEmailCreate = (req, res, next) => {
+    const { localPart } = req.body;
+
+    const errors = checkAddressOptions(req.body);
+
+    if (localPart !== undefined) {
+        const localPartError = validateLocalPart(localPart);
+        if (localPartError) {
+            errors.push(localPartError);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate bulk temp email creation request
+ */
+export const validateBulkCreate = (req, res, next) => {
+    const { count, localPart } = req.body;
+    const limit = config.email.bulkCreateLimit;
+
+    const errors = checkAddressOptions(req.body);
+
+    if (!Number.isInteger(count) || count < 1 || count > limit) {
+        errors.push(`Count must be a whole number between 1 and ${limit}`);
+    }
+
+    if (localPart !== undefined) {
+        errors.push('Custom local parts are not supported for bulk creation');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate bulk temp email deletion request
+ */
+export const validateBulkDelete = (req, res, next) => {
+    const { addresses } = req.body;
+    const limit = config.email.bulkCreateLimit;
+
+    const errors = [];
+
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+        errors.push('Addresses must be a non-empty array');
+    } else if (addresses.length > limit) {
+        errors.push(`At most ${limit} addresses can be deleted at once`);
+    } else if (addresses.some(address => typeof address !== 'string' || !address.trim())) {
+        errors.push('Each address must be a non-empty string');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate temp email expiry extension request
+ */
+export const validateExpiryExtend = (req, res, next) => {
+    const { hours } = req.body;
+
+    const errors = [];
+
+    if (hours !== undefined) {
+        const lifetimeError = checkLifetimeHours(hours);
+        if (lifetimeError) {
+            errors.push(lifetimeError);
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate inbox/outbox listing query and normalize it into req.listOptions
+ */
+export const validateListQuery = (req, res, next) => {
+    const { limit, cursor, order, address, from, to, label, since, until } = req.query;
+
+    const errors = [];
+    const options = {
+        limit: DEFAULT_PAGE_SIZE,
+        ascending: false,
+        archived: false // Archived mail is hidden unless asked for
+    };
+
+    if (limit !== undefined) {
+        const parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PAGE_SIZE) {
+            errors.push(`Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+        } else {
+            options.limit = parsedLimit;
+        }
+    }
+
+    if (cursor !== undefined) {
+        options.cursor = decodeCursor(String(cursor));
+        if (!options.cursor) {
+            errors.push('Invalid cursor');
+        }
+    }
+
+    if (order !== undefined) {
+        if (!['asc', 'desc'].includes(order)) {
+            errors.push('Order must be either asc or desc');
+        } else {
+            options.ascending = order === 'asc';
+        }
+    }
+
+    if (address !== undefined) {
+        options.address = String(address).toLowerCase().trim();
+    }
+
+    if (from !== undefined) {
+        options.from = String(from).trim();
+    }
+
+    if (to !== undefined) {
+        options.to = String(to).trim();
+    }
+
+    if (label !== undefined) {
+        options.label = String(label).trim();
+        if (!isUuid(options.label)) {
+            errors.push('Invalid label id');
+        }
+    }
+
+    for (const [key, value] of [['since', since], ['until', until]]) {
+        if (value === undefined) continue;
+
+        if (Number.isNaN(Date.parse(value))) {
+            errors.push(`${key} must be a valid date`);
+        } else {
+            options[key] = new Date(value).toISOString();
+        }
+    }
+
+    for (const key of ['read', 'starred', 'archived']) {
+        const value = req.query[key];
+        if (value === undefined) continue;
+
+        if (!['true', 'false'].includes(value)) {
+            errors.push(`${key} must be either true or false`);
+        } else {
+            options[key] = value === 'true';
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.listOptions = options;
+
+    next();
+};
+
+/**
+ * Validate mailbox export query and normalize it into req.exportOptions
+ */
+export const validateExportQuery = (req, res, next) => {
+    const { format = 'mbox', type = 'all', address, since, until } = req.query;
+
+    const errors = [];
+    const types = { inbox: ['received'], outbox: ['sent'], all: ['received', 'sent'] };
+    const options = {};
+
+    if (!['mbox', 'zip'].includes(format)) {
+        errors.push('Format must be either mbox or zip');
+    } else {
+        options.format = format;
+    }
+
+    if (!(type in types)) {
+        errors.push('Type must be one of inbox, outbox or all');
+    } else {
+        options.types = types[type];
+    }
+
+    if (address !== undefined) {
+        options.address = String(address).toLowerCase().trim();
+    }
+
+    for (const [key, value] of [['since', since], ['until', until]]) {
+        if (value === undefined) continue;
+
+        if (Number.isNaN(Date.parse(value))) {
+            errors.push(`${key} must be a valid date`);
+        } else {
+            options[key] = new Date(value).toISOString();
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.exportOptions = options;
+
+    next();
+};
+
+/**
+ * Validate wait-for-email query and normalize it into req.waitOptions
+ */
+export const validateWaitQuery = (req, res, next) => {
+    const { timeout, from, subject, since } = req.query;
+
+    const errors = [];
+    const options = {
+        timeoutSeconds: config.email.waitTimeoutSeconds
+    };
+
+    if (timeout !== undefined) {
+        const parsedTimeout = Number(timeout);
+        if (!Number.isInteger(parsedTimeout) || parsedTimeout < 1 || parsedTimeout > config.email.maxWaitTimeoutSeconds) {
+            errors.push(`Timeout must be a whole number of seconds between 1 and ${config.email.maxWaitTimeoutSeconds}`);
+        } else {
+            options.timeoutSeconds = parsedTimeout;
+        }
+    }
+
+    if (from !== undefined) {
+        options.from = String(from).toLowerCase().trim();
+    }
+
+    if (subject !== undefined) {
+        if (String(subject).length > 200) {
+            errors.push('Subject pattern must be at most 200 characters');
+        } else {
+            try {
+                // Tested against every delivery while waiting, so it must match in linear time
+                options.subject = compileSafeRegex(String(subject));
+            } catch (error) {
+                errors.push('Subject must be a valid regular expression (lookarounds and backreferences are not supported)');
+            }
+        }
+    }
+
+    if (since !== undefined) {
+        if (Number.isNaN(Date.parse(since))) {
+            errors.push('since must be a valid date');
+        } else {
+            options.since = new Date(since).toISOString();
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.waitOptions = options;
+
+    next();
+};
+
+/**
+ * Validate mailbox search query and normalize it into req.searchOptions
+ */
+export const validateSearchQuery = (req, res, next) => {
+    const { q, type, limit, cursor } = req.query;
+
+    const errors = [];
+    const options = {
+        limit: DEFAULT_PAGE_SIZE,
+        offset: 0,
+        type: null
+    };
+
+    if (!q || !String(q).trim()) {
+        errors.push('Search query (q) is required');
+    } else if (String(q).length > 200) {
+        errors.push('Search query must be at most 200 characters');
+    } else {
+        options.query = String(q).trim();
+    }
+
+    if (type !== undefined) {
+        const types = { inbox: 'received', outbox: 'sent', all: null };
+        if (!(type in types)) {
+            errors.push('Type must be one of: inbox, outbox, all');
+        } else {
+            options.type = types[type];
+        }
+    }
+
+    if (limit !== undefined) {
+        const parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PAGE_SIZE) {
+            errors.push(`Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+        } else {
+            options.limit = parsedLimit;
+        }
+    }
+
+    if (cursor !== undefined) {
+        options.offset = decodeOffsetCursor(String(cursor));
+        if (options.offset === null) {
+            errors.push('Invalid cursor');
+        }
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.searchOptions = options;
+
+    next();
+};
+
+/**
+ * Check state flags (read, starred, archived) in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { updates, errors } with updates keyed by column name
+ */
+const checkStateFlags = (body) => {
+    const columns = { read: 'is_read', starred: 'is_starred', archived: 'is_archived' };
+    const updates = {};
+    const errors = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+        if (body[key] === undefined) continue;
+
+        if (typeof body[key] !== 'boolean') {
+            errors.push(`${key} must be true or false`);
+        } else {
+            updates[column] = body[key];
+        }
+    }
+
+    if (errors.length === 0 && Object.keys(updates).length === 0) {
+        errors.push('Provide at least one of: read, starred, archived');
+    }
+
+    return { updates, errors };
+};
+
+/**
+ * Validate email state update and normalize it into req.stateUpdates
+ */
+export const validateEmailState = (req, res, next) => {
+    const { updates, errors } = checkStateFlags(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    req.stateUpdates = updates;
+
+    next();
+};
+
+/**
+ * Validate bulk email state update and normalize it into req.stateUpdates
+ */
+export const validateBulkEmailState = (req, res, next) => {
+    const { ids } = req.body;
+
+    const { updates, errors } = checkStateFlags(req.body);
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        errors.push('Ids must be a non-empty array');
+    } else if (ids.length > MAX_PAGE_SIZE) {
+        errors.push(`At most ${MAX_PAGE_SIZE} emails can be updated at once`);
+    } else if (!ids.every(isUuid)) {
+        errors.push('Each id must be a valid email ID');
+    }
+
     if (errors.length > 0) {
         return res.status(400).json({
             success: false,
@@ -101,11 +611,531 @@ export const validateEmailSend = (req, res, next) => {
         });
     }
 
+    req.stateUpdates = updates;
+
+    next();
+};
+
+/**
+ * Check label fields (name, color) in a request body
+ * @param {Object} body - Request body
+ * @param {boolean} requireName - Whether name must be present
+ * @returns {Array<string>} Error messages
+ */
+const checkLabelFields = ({ name, color }, requireName) => {
+    const errors = [];
+
+    if (name === undefined) {
+        if (requireName) {
+            errors.push('Label name is required');
+        }
+    } else if (typeof name !== 'string' || !name.trim()) {
+        errors.push('Label name must be a non-empty string');
+    } else if (name.trim().length > 50) {
+        errors.push('Label name must be at most 50 characters long');
+    }
+
+    if (color !== undefined && (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color))) {
+        errors.push('Color must be a hex colour like #10b981');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate label creation request
+ */
+export const validateLabelCreate = (req, res, next) => {
+    const errors = checkLabelFields(req.body, true);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate label update request
+ */
+export const validateLabelUpdate = (req, res, next) => {
+    const errors = checkLabelFields(req.body, false);
+
+    if (errors.length === 0 && req.body.name === undefined && req.body.color === undefined) {
+        errors.push('Provide at least one of: name, color');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate assignment of labels to an email
+ */
+export const validateEmailLabels = (req, res, next) => {
+    const { labelIds } = req.body;
+
+    const errors = [];
+
+    if (!Array.isArray(labelIds)) {
+        errors.push('labelIds must be an array');
+    } else if (!labelIds.every(isUuid)) {
+        errors.push('Each label id must be a valid label ID');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Check webhook fields shared by create and update
+ */
+const checkWebhookFields = ({ url, address, description, isActive }, requireUrl) => {
+    const errors = [];
+
+    if (url === undefined) {
+        if (requireUrl) {
+            errors.push('Webhook url is required');
+        }
+    } else {
+        let parsedUrl = null;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            // Reported below
+        }
+
+        if (typeof url !== 'string' || !parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+            errors.push('Webhook url must be a valid http(s) URL');
+        } else if (url.length > 2048) {
+            errors.push('Webhook url must be at most 2048 characters long');
+        }
+    }
+
+    // null clears the address filter on update (account-wide)
+    if (address !== undefined && address !== null &&
+        (typeof address !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address))) {
+        errors.push('Address must be a valid email address');
+    }
+
+    if (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > 255)) {
+        errors.push('Description must be a string of at most 255 characters');
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('isActive must be a boolean');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate webhook creation request
+ */
+export const validateWebhookCreate = (req, res, next) => {
+    const errors = checkWebhookFields(req.body, true);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate webhook update request
+ */
+export const validateWebhookUpdate = (req, res, next) => {
+    const { url, address, description, isActive, rotateSecret } = req.body;
+
+    const errors = checkWebhookFields(req.body, false);
+
+    if (rotateSecret !== undefined && typeof rotateSecret !== 'boolean') {
+        errors.push('rotateSecret must be a boolean');
+    }
+
+    if (errors.length === 0 && [url, address, description, isActive, rotateSecret].every(value => value === undefined)) {
+        errors.push('Provide at least one of: url, address, description, isActive, rotateSecret');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Check fields shared by forwarding rule creation and update
+ * @param {Object} body - Request body (fromFilter, subjectFilter, isActive, expiresInHours)
+ * @returns {Array<string>} Error messages
+ */
+const checkForwardingFields = ({ fromFilter, subjectFilter, isActive, expiresInHours }) => {
+    const errors = [];
+
+    // null clears a filter on update
+    for (const [name, value] of [['fromFilter', fromFilter], ['subjectFilter', subjectFilter]]) {
+        if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 255)) {
+            errors.push(`${name} must be a string of at most 255 characters`);
+        }
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('isActive must be a boolean');
+    }
+
+    // null forwards until the address itself expires
+    if (expiresInHours !== undefined && expiresInHours !== null &&
+        (typeof expiresInHours !== 'number' || !Number.isFinite(expiresInHours) ||
+            expiresInHours <= 0 || expiresInHours > config.email.maxExpiryHours)) {
+        errors.push(`expiresInHours must be a number of hours up to ${config.email.maxExpiryHours}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Validate forwarding rule creation request
+ */
+export const validateForwardingCreate = (req, res, next) => {
+    const { destination } = req.body;
+
+    const errors = checkForwardingFields(req.body);
+
+    if (!destination || typeof destination !== 'string' || !destination.trim()) {
+        errors.push('Destination is required');
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination.trim())) {
+        errors.push('Destination must be a valid email address');
+    } else if (config.email.domains.includes(destination.trim().split('@')[1].toLowerCase())) {
+        // Forwarding to another temp address could loop
+        errors.push('Destination must be a real mailbox, not a temporary address');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate forwarding rule update request
+ */
+export const validateForwardingUpdate = (req, res, next) => {
+    const { fromFilter, subjectFilter, isActive, expiresInHours } = req.body;
+
+    const errors = checkForwardingFields(req.body);
+
+    if (errors.length === 0 && [fromFilter, subjectFilter, isActive, expiresInHours].every(value => value === undefined)) {
+        errors.push('Provide at least one of: fromFilter, subjectFilter, isActive, expiresInHours');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate forwarding destination verification request
+ */
+export const validateForwardingVerify = (req, res, next) => {
+    const { otp } = req.body;
+
+    const errors = [];
+
+    if (!otp || typeof otp !== 'string' || !/^\d{6}$/.test(otp.trim())) {
+        errors.push('OTP must be a 6-digit code');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+// Limits on rule definitions
+const MAX_RULE_CONDITIONS = 10;
+const MAX_RULE_ACTIONS = 10;
+const MAX_CONDITION_VALUE_LENGTH = 500;
+const MAX_REGEX_LENGTH = 200;
+
+/**
+ * Check a rule's conditions and match mode
+ * @param {*} conditions - [{ field, operator, value }]
+ * @param {*} matchMode - 'all' or 'any'
+ * @returns {Array<string>} Error messages
+ */
+const checkRuleConditions = (conditions, matchMode) => {
+    const errors = [];
+
+    if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_RULE_CONDITIONS) {
+        errors.push(`Conditions must be an array of 1 to ${MAX_RULE_CONDITIONS} conditions`);
+    } else {
+        conditions.forEach((condition, index) => {
+            const { field, operator, value } = condition || {};
+            const label = `Condition ${index + 1}`;
+
+            if (!RULE_FIELDS.includes(field)) {
+                errors.push(`${label}: field must be one of: ${RULE_FIELDS.join(', ')}`);
+            }
+
+            if (!RULE_OPERATORS.includes(operator)) {
+                errors.push(`${label}: operator must be one of: ${RULE_OPERATORS.join(', ')}`);
+            } else if (operator === 'domain' && !ADDRESS_FIELDS.includes(field)) {
+                errors.push(`${label}: the domain operator only applies to ${ADDRESS_FIELDS.join(' and ')}`);
+            }
+
+            if (typeof value !== 'string' || !value.trim() || value.length > MAX_CONDITION_VALUE_LENGTH) {
+                errors.push(`${label}: value must be a non-empty string of at most ${MAX_CONDITION_VALUE_LENGTH} characters`);
+            } else if (operator === 'regex') {
+                if (value.length > MAX_REGEX_LENGTH) {
+                    errors.push(`${label}: regex must be at most ${MAX_REGEX_LENGTH} characters long`);
+                } else {
+                    try {
+                        compileSafeRegex(value);
+                    } catch (error) {
+                        errors.push(`${label}: invalid regex, lookarounds and backreferences are not supported (${error.message})`);
+                    }
+                }
+            }
+        });
+    }
+
+    if (matchMode !== undefined && !RULE_MATCH_MODES.includes(matchMode)) {
+        errors.push(`matchMode must be one of: ${RULE_MATCH_MODES.join(', ')}`);
+    }
+
+    return errors;
+};
+
+/**
+ * Check a rule's actions
+ * Label and forward targets are checked against the database by the controller.
+ * @param {*} actions - [{ type, labelId?, destination? }]
+ * @returns {Array<string>} Error messages
+ */
+const checkRuleActions = (actions) => {
+    const errors = [];
+
+    if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_RULE_ACTIONS) {
+        errors.push(`Actions must be an array of 1 to ${MAX_RULE_ACTIONS} actions`);
+        return errors;
+    }
+
+    actions.forEach((action, index) => {
+        const { type, labelId, destination } = action || {};
+        const label = `Action ${index + 1}`;
+
+        if (!RULE_ACTIONS.includes(type)) {
+            errors.push(`${label}: type must be one of: ${RULE_ACTIONS.join(', ')}`);
+        } else if (type === 'label' && !isUuid(labelId)) {
+            errors.push(`${label}: labelId must be a valid label ID`);
+        } else if (type === 'forward' &&
+            (typeof destination !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(destination.trim()))) {
+            errors.push(`${label}: destination must be a valid email address`);
+        }
+    });
+
+    // A message that is rejected or deleted can't also be labelled, starred or forwarded
+    const types = actions.map(action => action?.type);
+    if (types.some(type => TERMINAL_ACTIONS.includes(type)) && types.length > 1) {
+        errors.push(`${TERMINAL_ACTIONS.join(' and ')} can't be combined with other actions`);
+    }
+
+    return errors;
+};
+
+/**
+ * Check the remaining rule fields shared by creation and update
+ * @param {Object} body - Request body (name, priority, stopProcessing, isActive)
+ * @returns {Array<string>} Error messages
+ */
+const checkRuleSettings = ({ name, priority, stopProcessing, isActive }) => {
+    const errors = [];
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+        errors.push('Rule name must be a non-empty string of at most 100 characters');
+    }
+
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < 0 || priority > 1000)) {
+        errors.push('Priority must be a whole number between 0 and 1000');
+    }
+
+    if (stopProcessing !== undefined && typeof stopProcessing !== 'boolean') {
+        errors.push('stopProcessing must be a boolean');
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+        errors.push('isActive must be a boolean');
+    }
+
+    return errors;
+};
+
+/**
+ * Validate mail rule creation request
+ */
+export const validateRuleCreate = (req, res, next) => {
+    const { name, conditions, matchMode, actions } = req.body;
+
+    const errors = [];
+
+    if (name === undefined) {
+        errors.push('Rule name is required');
+    }
+
+    errors.push(
+        ...checkRuleSettings(req.body),
+        ...checkRuleConditions(conditions, matchMode),
+        ...checkRuleActions(actions)
+    );
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate mail rule update request (conditions and actions are replaced as a whole)
+ */
+export const validateRuleUpdate = (req, res, next) => {
+    const { name, conditions, matchMode, actions, priority, stopProcessing, isActive } = req.body;
+
+    const errors = checkRuleSettings(req.body);
+
+    if (conditions !== undefined) {
+        errors.push(...checkRuleConditions(conditions, matchMode));
+    } else if (matchMode !== undefined && !RULE_MATCH_MODES.includes(matchMode)) {
+        errors.push(`matchMode must be one of: ${RULE_MATCH_MODES.join(', ')}`);
+    }
+
+    if (actions !== undefined) {
+        errors.push(...checkRuleActions(actions));
+    }
+
+    if (errors.length === 0 &&
+        [name, conditions, matchMode, actions, priority, stopProcessing, isActive].every(value => value === undefined)) {
+        errors.push('Provide at least one of: name, conditions, matchMode, actions, priority, stopProcessing, isActive');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate an unsaved rule's conditions for a dry run
+ */
+export const validateRuleDryRun = (req, res, next) => {
+    const { conditions, matchMode } = req.body;
+
+    const errors = checkRuleConditions(conditions, matchMode);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors
+        });
+    }
+
+    next();
+};
+
+/**
+ * Reject route IDs that aren't UUIDs (for router.param)
+ * They would otherwise reach Postgres and fail as a server error.
+ */
+export const validateIdParam = (req, res, next, value, name) => {
+    if (!isUuid(value)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: [`Invalid ${name}`]
+        });
+    }
+
     next();
 };
 
 export default {
     validateSignup,
     validateLogin,
-    validateEmailSend
+    validateEmailSend,
+    validateTempEmailCreate,
+    validateBulkCreate,
+    validateBulkDelete,
+    validateExpiryExtend,
+    validateListQuery,
+    validateSearchQuery,
+    validateExportQuery,
+    validateWaitQuery,
+    validateEmailState,
+    validateBulkEmailState,
+    validateLabelCreate,
+    validateLabelUpdate,
+    validateEmailLabels,
+    validateWebhookCreate,
+    validateWebhookUpdate,
+    validateForwardingCreate,
+    validateForwardingUpdate,
+    validateForwardingVerify,
+    validateRuleCreate,
+    validateRuleUpdate,
+    validateRuleDryRun,
+    validateIdParam
 };
@@ -0,0 +1,91 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * Attachment Model for Supabase (PostgreSQL)
+ * Stores attachment metadata; content lives in the blob store
+ */
+
+class Attachment {
+    /**
+     * Create attachment records
+     */
+    static async createMany(attachments) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('attachments')
+                .insert(attachments.map(attachment => ({
+                    id: attachment.id,
+                    email_id: attachment.emailId,
+                    user_id: attachment.userId,
+                    filename: attachment.filename,
+                    content_type: attachment.contentType,
+                    size_bytes: attachment.size,
+                    content_id: attachment.contentId || null,
+                    storage_key: attachment.storageKey
+                })))
+                .select();
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to create attachments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find attachment by ID
+     */
+    static async findById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('attachments')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find attachment by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get attachments of an email
+     */
+    static async findByEmail(emailId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('attachments')
+                .select('*')
+                .eq('email_id', emailId)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get attachments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert attachment to JSON (remove storage internals)
+     */
+    static toJSON(attachment) {
+        if (!attachment) return null;
+
+        const { storage_key, ...attachmentWithoutKey } = attachment;
+        return attachmentWithoutKey;
+    }
+}
+
+export default Attachment;
@@ -1,4 +1,12 @@
 import { getSupabase } from '../config/database.js';
+import config from '../config/env.js';
+import { DEFAULT_PAGE_SIZE, buildPage } from '../utils/pagination.js';
+import { extractVerification } from '../utils/codeExtractor.js';
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
 
 /**
  * Email Model for Supabase (PostgreSQL)
@@ -7,12 +15,16 @@ import { getSupabase } from '../config/database.js';
 
 class Email {
     /**
-     * Create a new email
+     * Create a new email (received mail is scanned for verification codes and links)
      */
-    static async create({ from, to, subject, body, type, userId }) {
+    static async create({ from, to, subject, body, html, headers, rawSize, type, userId, deliveryStatus, isRead, isStarred, spamScore, spamReasons, isQuarantined, expiresAt }) {
         const supabase = getSupabase();
 
         try {
+            const verification = type === 'received'
+                ? extractVerification({ subject, body, html })
+                : { code: null, links: [] };
+
             const { data, error } = await supabase
                 .from('emails')
                 .insert([{
@@ -20,8 +32,23 @@ class Email {
                     to_email: to,
                     subject: subject || '',
                     body: body || '',
+                    html_body: html || null,
+                    headers: headers || null, // Ordered [{ name, value }]
+                    raw_size: rawSize ?? null, // Size of the stored raw source, null if none was kept
+                    verification_code: verification.code,
+                    verification_links: verification.links,
                     type: type, // 'sent' or 'received'
-                    user_id: userId
+                    user_id: userId,
+                    delivery_status: deliveryStatus || null, // 'queued', 'sent' or 'failed' for outgoing mail
+                    is_read: isRead ?? false,
+                    is_starred: isStarred ?? false,
+                    spam_score: spamScore ?? null, // Received mail only, see utils/spamFilter.js
+                    spam_reasons: spamReasons || [],
+                    is_quarantined: isQuarantined ?? false,
+                    // Received mail that reaches the inbox is announced at once; quarantined mail on release
+                    announced_at: type === 'received' && !isQuarantined ? new Date().toISOString() : null,
+                    // Mail lives as long as its temp address; the default covers addresses without an expiry
+                    expires_at: expiresAt || new Date(Date.now() + config.email.expiryHours * 60 * 60 * 1000).toISOString()
                 }])
                 .select()
                 .single();
@@ -56,46 +83,251 @@ class Email {
     }
 
     /**
-     * Get user's inbox (received emails)
+     * List a page of user's emails of one type with filters and keyset pagination
+     * Options: limit, cursor, ascending, address, from, to, label, since, until, read, starred, archived, quarantined
      */
-    static async getInbox(userId) {
+    static async list(userId, type, options = {}) {
         const supabase = getSupabase();
+        const {
+            limit = DEFAULT_PAGE_SIZE,
+            cursor,
+            ascending = false,
+            address,
+            from,
+            to,
+            label,
+            since,
+            until,
+            read,
+            starred,
+            archived,
+            quarantined
+        } = options;
 
         try {
-            const { data, error } = await supabase
+            // Filtering by label inner-joins the assignments table
+            let query = supabase
                 .from('emails')
-                .select('*')
+                .select(label ? '*, email_labels!inner(label_id)' : '*')
                 .eq('user_id', userId)
-                .eq('type', 'received')
-                .order('created_at', { ascending: false });
+                .eq('type', type);
+
+            if (label) query = query.eq('email_labels.label_id', label);
+
+            // The temp address is the recipient of received mail and the sender of sent mail
+            if (address) query = query.eq(type === 'received' ? 'to_email' : 'from_email', address);
+            if (from) query = query.ilike('from_email', `%${escapeLike(from)}%`);
+            if (to) query = query.ilike('to_email', `%${escapeLike(to)}%`);
+            if (since) query = query.gte('created_at', since);
+            if (until) query = query.lte('created_at', until);
+            if (read !== undefined) query = query.eq('is_read', read);
+            if (starred !== undefined) query = query.eq('is_starred', starred);
+            if (archived !== undefined) query = query.eq('is_archived', archived);
+            if (quarantined !== undefined) query = query.eq('is_quarantined', quarantined);
+
+            // Continue strictly after the last row of the previous page
+            if (cursor) {
+                const op = ascending ? 'gt' : 'lt';
+                query = query.or(`created_at.${op}."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.${op}.${cursor.id})`);
+            }
+
+            const { data, error } = await query
+                .order('created_at', { ascending })
+                .order('id', { ascending })
+                .limit(limit + 1);
 
             if (error) throw error;
 
-            return data || [];
+            const rows = (data || []).map(({ email_labels, ...email }) => email);
+
+            return buildPage(rows, limit);
+        } catch (error) {
+            throw new Error(`Failed to list emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Full-text search over user's emails (ranked, via search_emails function)
+     * Options: type ('received', 'sent' or null for both), limit, offset
+     */
+    static async search(userId, query, { type = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase.rpc('search_emails', {
+                p_user_id: userId,
+                p_query: query,
+                p_type: type,
+                p_limit: limit + 1,
+                p_offset: offset
+            });
+
+            if (error) throw error;
+
+            const rows = data || [];
+
+            return {
+                emails: rows.slice(0, limit),
+                hasMore: rows.length > limit
+            };
+        } catch (error) {
+            throw new Error(`Failed to search emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get stored message count and bytes per address (from mailbox_usage_counters)
+     */
+    static async getUsage(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mailbox_usage_counters')
+                .select('address, message_count, total_bytes')
+                .eq('user_id', userId);
+
+            if (error) throw error;
+
+            // BIGINT columns may arrive as strings
+            return (data || []).map(row => ({
+                address: row.address,
+                messageCount: Number(row.message_count),
+                totalBytes: Number(row.total_bytes)
+            }));
+        } catch (error) {
+            throw new Error(`Failed to get mailbox usage: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a message against the quotas if it fits (via claim_mailbox_quota function)
+     * @returns {Promise<Object|null>} null if counted, else the exceeded limit { scope, type, used, limit }
+     */
+    static async claimQuota(userId, address, bytes, limits) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase.rpc('claim_mailbox_quota', {
+                p_user_id: userId,
+                p_address: address,
+                p_bytes: bytes,
+                p_max_address_messages: limits.messagesPerAddress,
+                p_max_address_bytes: limits.bytesPerAddress,
+                p_max_user_messages: limits.messagesPerUser,
+                p_max_user_bytes: limits.bytesPerUser
+            });
+
+            if (error) throw error;
+
+            const [exceeded] = data || [];
+
+            return exceeded
+                ? {
+                    scope: exceeded.quota_scope,
+                    type: exceeded.quota_type,
+                    used: Number(exceeded.used),
+                    limit: Number(exceeded.quota_limit)
+                }
+                : null;
+        } catch (error) {
+            throw new Error(`Failed to claim mailbox quota: ${error.message}`);
+        }
+    }
+
+    /**
+     * Give back a claimed message that was not stored (via release_mailbox_quota function)
+     */
+    static async releaseQuota(userId, address, bytes) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase.rpc('release_mailbox_quota', {
+                p_user_id: userId,
+                p_address: address,
+                p_bytes: bytes
+            });
+
+            if (error) throw error;
+        } catch (error) {
+            throw new Error(`Failed to release mailbox quota: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's inbox (received emails, quarantined ones excluded)
+     */
+    static async getInbox(userId, options = {}) {
+        try {
+            return await this.list(userId, 'received', { ...options, quarantined: false });
         } catch (error) {
             throw new Error(`Failed to get inbox: ${error.message}`);
         }
     }
 
+    /**
+     * Get user's quarantined emails
+     */
+    static async getQuarantine(userId, options = {}) {
+        try {
+            return await this.list(userId, 'received', { ...options, quarantined: true });
+        } catch (error) {
+            throw new Error(`Failed to get quarantine: ${error.message}`);
+        }
+    }
+
     /**
      * Get user's outbox (sent emails)
      */
-    static async getOutbox(userId) {
+    static async getOutbox(userId, options = {}) {
+        try {
+            return await this.list(userId, 'sent', options);
+        } catch (error) {
+            throw new Error(`Failed to get outbox: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update email
+     */
+    static async update(id, updates) {
         const supabase = getSupabase();
 
         try {
             const { data, error } = await supabase
                 .from('emails')
-                .select('*')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update state flags on several of a user's emails (returns the updated ids)
+     */
+    static async updateMany(userId, ids, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('emails')
+                .update(updates)
                 .eq('user_id', userId)
-                .eq('type', 'sent')
-                .order('created_at', { ascending: false });
+                .in('id', ids)
+                .select('id');
 
             if (error) throw error;
 
-            return data || [];
+            return (data || []).map(item => item.id);
         } catch (error) {
-            throw new Error(`Failed to get outbox: ${error.message}`);
+            throw new Error(`Failed to update emails: ${error.message}`);
         }
     }
 
@@ -120,44 +352,112 @@ class Email {
     }
 
     /**
-     * Delete expired emails
+     * Delete expired emails (returns the deleted rows' id and user_id)
      */
     static async deleteExpired() {
         const supabase = getSupabase();
 
         try {
-            const { error } = await supabase
+            const { data, error } = await supabase
                 .from('emails')
                 .delete()
-                .lt('expires_at', new Date().toISOString());
+                .lt('expires_at', new Date().toISOString())
+                .select('id, user_id');
 
             if (error) throw error;
 
-            return true;
+            return data || [];
         } catch (error) {
             throw new Error(`Failed to delete expired emails: ${error.message}`);
         }
     }
 
     /**
-     * Find emails by recipient address
+     * Delete all of a user's emails sent from or received at an address (returns the deleted ids)
      */
-    static async findByRecipient(email) {
+    static async deleteByAddress(userId, address) {
         const supabase = getSupabase();
 
         try {
             const { data, error } = await supabase
+                .from('emails')
+                .delete()
+                .eq('user_id', userId)
+                .or(`to_email.eq."${address}",from_email.eq."${address}"`)
+                .select('id');
+
+            if (error) throw error;
+
+            return (data || []).map(item => item.id);
+        } catch (error) {
+            throw new Error(`Failed to delete emails by address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Set the expiry of all emails sent or received by an address
+     */
+    static async updateExpiryByAddress(userId, address, expiresAt) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('emails')
+                .update({ expires_at: expiresAt })
+                .eq('user_id', userId)
+                .or(`to_email.eq."${address}",from_email.eq."${address}"`);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to update email expiry: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find emails by recipient address, quarantined ones excluded (same options as list)
+     */
+    static async findByRecipient(userId, email, options = {}) {
+        try {
+            return await this.list(userId, 'received', {
+                ...options,
+                address: email.toLowerCase().trim(),
+                quarantined: false
+            });
+        } catch (error) {
+            throw new Error(`Failed to find emails by recipient: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find the newest received email with a verification code or link for an address
+     */
+    static async findLatestVerification(userId, address, { since } = {}) {
+        const supabase = getSupabase();
+
+        try {
+            let query = supabase
                 .from('emails')
                 .select('*')
-                .eq('to_email', email)
+                .eq('user_id', userId)
                 .eq('type', 'received')
-                .order('created_at', { ascending: false });
+                .eq('to_email', address.toLowerCase().trim())
+                .eq('is_quarantined', false)
+                .or('verification_code.not.is.null,verification_links.neq.[]');
+
+            if (since) query = query.gte('created_at', since);
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
 
             if (error) throw error;
 
-            return data || [];
+            return data;
         } catch (error) {
-            throw new Error(`Failed to find emails by recipient: ${error.message}`);
+            throw new Error(`Failed to find verification email: ${error.message}`);
         }
     }
 }
@@ -0,0 +1,225 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * ForwardingRule Model for Supabase (PostgreSQL)
+ * Provides methods for per-address forwarding rules and the log of forwarded copies
+ */
+
+class ForwardingRule {
+    /**
+     * Create a new (unverified) forwarding rule
+     */
+    static async create({ userId, tempEmailId, address, destination, fromFilter, subjectFilter, expiresAt }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .insert([{
+                    user_id: userId,
+                    temp_email_id: tempEmailId,
+                    address: address.toLowerCase().trim(),
+                    destination: destination.toLowerCase().trim(),
+                    from_filter: fromFilter?.trim() || null,
+                    subject_filter: subjectFilter?.trim() || null,
+                    expires_at: expiresAt || null
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create forwarding rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find forwarding rule by ID
+     */
+    static async findById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find forwarding rule by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get forwarding rules for a temp address
+     */
+    static async findByAddress(userId, address) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('address', address.toLowerCase().trim())
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get forwarding rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get verified, active and unexpired rules for a temp address
+     */
+    static async findActiveForAddress(userId, address) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('address', address.toLowerCase().trim())
+                .eq('is_verified', true)
+                .eq('is_active', true)
+                .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get forwarding rules for address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's verified, active and unexpired rules that forward to a destination
+     */
+    static async findVerifiedByDestination(userId, destination) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('destination', destination.toLowerCase().trim())
+                .eq('is_verified', true)
+                .eq('is_active', true)
+                .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get forwarding rules for destination: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update forwarding rule
+     */
+    static async update(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarding_rules')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update forwarding rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete forwarding rule by ID (its forward log is removed by cascade)
+     */
+    static async deleteById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('forwarding_rules')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete forwarding rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a forwarded copy
+     */
+    static async recordForward({ ruleId, mailRuleId, userId, emailId, destination, status, messageId, smtpResponse, error: sendError }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarded_emails')
+                .insert([{
+                    rule_id: ruleId,
+                    mail_rule_id: mailRuleId || null, // Set when a mail rule's forward action sent it
+                    user_id: userId,
+                    email_id: emailId || null,
+                    destination,
+                    status,
+                    message_id: messageId || null,
+                    smtp_response: smtpResponse || null,
+                    error: sendError || null
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to record forwarded email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a rule's most recent forwards
+     */
+    static async findForwards(ruleId, limit = 50) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('forwarded_emails')
+                .select('*')
+                .eq('rule_id', ruleId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get forwarded emails: ${error.message}`);
+        }
+    }
+}
+
+export default ForwardingRule;
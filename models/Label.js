@@ -0,0 +1,226 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * Label Model for Supabase (PostgreSQL)
+ * Provides methods for user-defined labels and their assignment to emails
+ */
+
+class Label {
+    /**
+     * Create a new label
+     */
+    static async create({ userId, name, color }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('labels')
+                .insert([{
+                    user_id: userId,
+                    name: name.trim(),
+                    ...(color && { color: color.toLowerCase() })
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create label: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find label by ID
+     */
+    static async findById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('labels')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find label by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's labels
+     */
+    static async findByUser(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('labels')
+                .select('*')
+                .eq('user_id', userId)
+                .order('name', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get labels: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find several of a user's labels by ID
+     */
+    static async findByIds(userId, ids) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('labels')
+                .select('*')
+                .eq('user_id', userId)
+                .in('id', ids);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to find labels: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update label
+     */
+    static async update(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('labels')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update label: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete label by ID (assignments are removed by cascade)
+     */
+    static async deleteById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('labels')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete label: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get labels assigned to an email
+     */
+    static async getForEmail(emailId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('email_labels')
+                .select('labels(*)')
+                .eq('email_id', emailId);
+
+            if (error) throw error;
+
+            return (data || []).map(item => item.labels).filter(Boolean);
+        } catch (error) {
+            throw new Error(`Failed to get email labels: ${error.message}`);
+        }
+    }
+
+    /**
+     * Assign labels to an email (already assigned labels are kept)
+     */
+    static async addToEmail(userId, emailId, labelIds) {
+        const supabase = getSupabase();
+
+        try {
+            if (labelIds.length === 0) return true;
+
+            const { error } = await supabase
+                .from('email_labels')
+                .upsert(labelIds.map(labelId => ({
+                    email_id: emailId,
+                    label_id: labelId,
+                    user_id: userId
+                })), { onConflict: 'email_id,label_id', ignoreDuplicates: true });
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to add labels to email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove labels from an email
+     */
+    static async removeFromEmail(emailId, labelIds) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('email_labels')
+                .delete()
+                .eq('email_id', emailId)
+                .in('label_id', labelIds);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to remove labels from email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the labels of an email
+     */
+    static async setForEmail(userId, emailId, labelIds) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('email_labels')
+                .delete()
+                .eq('email_id', emailId);
+
+            if (error) throw error;
+
+            return await this.addToEmail(userId, emailId, labelIds);
+        } catch (error) {
+            throw new Error(`Failed to set email labels: ${error.message}`);
+        }
+    }
+}
+
+export default Label;
@@ -0,0 +1,148 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * MailRule Model for Supabase (PostgreSQL)
+ * Provides methods for users' inbound filtering rules
+ */
+
+class MailRule {
+    /**
+     * Create a new rule
+     */
+    static async create({ userId, name, conditions, matchMode, actions, priority, stopProcessing, isActive }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mail_rules')
+                .insert([{
+                    user_id: userId,
+                    name: name.trim(),
+                    conditions, // [{ field, operator, value }]
+                    match_mode: matchMode || 'all',
+                    actions, // [{ type, labelId?, destination? }]
+                    priority: priority ?? 0,
+                    stop_processing: stopProcessing ?? false,
+                    is_active: isActive ?? true
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find rule by ID
+     */
+    static async findById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mail_rules')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find rule by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's rules in evaluation order
+     */
+    static async findByUser(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mail_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .order('priority', { ascending: true })
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's active rules in evaluation order
+     */
+    static async findActiveByUser(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mail_rules')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('is_active', true)
+                .order('priority', { ascending: true })
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get active rules: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update rule
+     */
+    static async update(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('mail_rules')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update rule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete rule by ID
+     */
+    static async deleteById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('mail_rules')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete rule: ${error.message}`);
+        }
+    }
+}
+
+export default MailRule;
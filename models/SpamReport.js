@@ -0,0 +1,56 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * SpamReport Model for Supabase (PostgreSQL)
+ * Provides methods for the spam reports users file against received mail
+ */
+
+class SpamReport {
+    /**
+     * Record a spam report
+     */
+    static async create({ userId, emailId, sender }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('spam_reports')
+                .insert([{
+                    user_id: userId,
+                    email_id: emailId,
+                    sender: sender.toLowerCase().trim()
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create spam report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Count a user's reports against a sender address
+     */
+    static async countForSender(userId, sender) {
+        const supabase = getSupabase();
+
+        try {
+            const { count, error } = await supabase
+                .from('spam_reports')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .eq('sender', sender.toLowerCase().trim());
+
+            if (error) throw error;
+
+            return count || 0;
+        } catch (error) {
+            throw new Error(`Failed to count spam reports: ${error.message}`);
+        }
+    }
+}
+
+export default SpamReport;
@@ -174,7 +174,7 @@ class User {
     /**
      * Add temporary email to user
      */
-    static async addTempEmail(userId, tempEmail) {
+    static async addTempEmail(userId, tempEmail, expiresAt) {
         const supabase = getSupabase();
 
         try {
@@ -182,7 +182,8 @@ class User {
                 .from('temp_emails')
                 .insert([{
                     user_id: userId,
-                    email_address: tempEmail
+                    email_address: tempEmail,
+                    expires_at: expiresAt
                 }])
                 .select()
                 .single();
@@ -195,6 +196,33 @@ class User {
         }
     }
 
+    /**
+     * Add temporary emails unless the user would hold more than maxAddresses unexpired ones
+     * (via add_temp_emails_within_quota function, which counts and inserts atomically)
+     * @returns {Promise<Object>} { used, records }; records is null if the limit was reached
+     */
+    static async addTempEmailsWithinQuota(userId, tempEmails, expiresAt, maxAddresses) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase.rpc('add_temp_emails_within_quota', {
+                p_user_id: userId,
+                p_addresses: tempEmails,
+                p_expires_at: expiresAt,
+                p_max_addresses: maxAddresses
+            });
+
+            if (error) throw error;
+
+            return {
+                used: data.used,
+                records: data.records
+            };
+        } catch (error) {
+            throw new Error(`Failed to add temp emails: ${error.message}`);
+        }
+    }
+
     /**
      * Get user's temporary emails
      */
@@ -215,6 +243,175 @@ class User {
         }
     }
 
+    /**
+     * Count user's unexpired temporary emails
+     */
+    static async countActiveTempEmails(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { count, error } = await supabase
+                .from('temp_emails')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .gt('expires_at', new Date().toISOString());
+
+            if (error) throw error;
+
+            return count || 0;
+        } catch (error) {
+            throw new Error(`Failed to count temp emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's temporary emails with message counts
+     */
+    static async getTempEmailStats(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_email_stats')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get temp email stats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get message counts for a single temporary email
+     */
+    static async getTempEmailStat(address) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_email_stats')
+                .select('*')
+                .eq('email_address', address.toLowerCase().trim())
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to get temp email stats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find temporary email record by address (reverse lookup to its owner)
+     */
+    static async findTempEmail(address) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_emails')
+                .select('*')
+                .eq('email_address', address.toLowerCase().trim())
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find temp email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find which of the given addresses already exist
+     */
+    static async findExistingTempEmails(addresses) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_emails')
+                .select('email_address')
+                .in('email_address', addresses);
+
+            if (error) throw error;
+
+            return data.map(item => item.email_address);
+        } catch (error) {
+            throw new Error(`Failed to check temp emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update temporary email
+     */
+    static async updateTempEmail(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_emails')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update temp email: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete user's temporary emails by address (returns the deleted rows)
+     */
+    static async deleteTempEmails(userId, addresses) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_emails')
+                .delete()
+                .eq('user_id', userId)
+                .in('email_address', addresses)
+                .select();
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to delete temp emails: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete expired temporary emails (returns the retired rows)
+     */
+    static async deleteExpiredTempEmails() {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('temp_emails')
+                .delete()
+                .lt('expires_at', new Date().toISOString())
+                .select();
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to delete expired temp emails: ${error.message}`);
+        }
+    }
+
     /**
      * Convert user to JSON (remove sensitive fields)
      */
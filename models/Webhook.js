@@ -0,0 +1,245 @@
+import { getSupabase } from '../config/database.js';
+
+/**
+ * Webhook Model for Supabase (PostgreSQL)
+ * Provides methods for webhook endpoints and their delivery log
+ */
+
+class Webhook {
+    /**
+     * Create a new webhook
+     */
+    static async create({ userId, url, address, secret, description }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .insert([{
+                    user_id: userId,
+                    url,
+                    address: address ? address.toLowerCase().trim() : null,
+                    secret,
+                    description: description?.trim() || null
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find webhook by ID
+     */
+    static async findById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .select('*')
+                .eq('id', id)
+                .single();
+
+            if (error && error.code !== 'PGRST116') throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to find webhook by ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user's webhooks
+     */
+    static async findByUser(userId) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get webhooks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get active webhooks that want mail for an address (address-scoped and account-wide)
+     */
+    static async findActiveForAddress(userId, address) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('is_active', true)
+                .or(`address.is.null,address.eq."${address.toLowerCase().trim()}"`);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get webhooks for address: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update webhook
+     */
+    static async update(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete webhook by ID (deliveries are removed by cascade)
+     */
+    static async deleteById(id) {
+        const supabase = getSupabase();
+
+        try {
+            const { error } = await supabase
+                .from('webhooks')
+                .delete()
+                .eq('id', id);
+
+            if (error) throw error;
+
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete webhook: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a new delivery
+     */
+    static async createDelivery({ webhookId, userId, emailId, event, payload }) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .insert([{
+                    webhook_id: webhookId,
+                    user_id: userId,
+                    email_id: emailId || null,
+                    event,
+                    payload
+                }])
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to create webhook delivery: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update delivery after an attempt
+     */
+    static async updateDelivery(id, updates) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .update(updates)
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new Error(`Failed to update webhook delivery: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get deliveries still waiting for an attempt, across all webhooks
+     */
+    static async findPendingDeliveries() {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('status', 'pending')
+                .order('next_attempt_at', { ascending: true });
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get pending webhook deliveries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a webhook's most recent deliveries
+     */
+    static async findDeliveries(webhookId, limit = 50) {
+        const supabase = getSupabase();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select('*')
+                .eq('webhook_id', webhookId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data || [];
+        } catch (error) {
+            throw new Error(`Failed to get webhook deliveries: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert webhook to JSON (remove signing secret)
+     */
+    static toJSON(webhook) {
+        if (!webhook) return null;
+
+        const { secret, ...webhookWithoutSecret } = webhook;
+        return webhookWithoutSecret;
+    }
+}
+
+export default Webhook;
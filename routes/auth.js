@@ -7,6 +7,7 @@ import {
     googleAuth,
     googleCallback,
     getCurrentUser,
+    getUsage,
     forgotPassword,
     verifyOTP,
     resetPassword
@@ -73,6 +74,13 @@ router.get(
  */
 router.get('/me', authenticate, getCurrentUser);
 
+/**
+ * @route   GET /auth/me/usage
+ * @desc    Get usage against address, message and storage quotas
+ * @access  Private
+ */
+router.get('/me/usage', authenticate, getUsage);
+
 /**
  * @route   POST /auth/forgot-password
  * @desc    Request password reset OTP
@@ -1,51 +1,261 @@
 import express from 'express';
 import {
     createTempEmail,
+    createBulkTempEmails,
+    getDomains,
     getInbox,
+    getQuarantine,
     getOutbox,
+    searchEmails,
+    exportEmails,
     getEmailById,
+    getEmailHtml,
+    getRawEmail,
+    updateEmailState,
+    updateEmailsState,
+    releaseEmail,
+    reportSpam,
     sendEmail,
+    downloadAttachment,
     deleteEmail,
     simulateReceive,
     generateAIEmail
 } from '../controllers/emailController.js';
-import { authenticate } from '../middleware/auth.js';
-import { validateEmailSend } from '../middleware/validation.js';
+import {
+    getTempEmails,
+    getUnreadCounts,
+    getTempEmail,
+    deleteTempEmail,
+    getAddressInbox,
+    getLatestCode,
+    waitForEmail,
+    extendTempEmail,
+    deleteTempEmails
+} from '../controllers/addressController.js';
+import {
+    getLabels,
+    createLabel,
+    updateLabel,
+    deleteLabel,
+    setEmailLabels,
+    addEmailLabel,
+    removeEmailLabel
+} from '../controllers/labelController.js';
+import {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    getWebhookDeliveries,
+    testWebhook
+} from '../controllers/webhookController.js';
+import {
+    getForwardingRules,
+    createForwardingRule,
+    verifyForwardingRule,
+    resendForwardingOTP,
+    updateForwardingRule,
+    deleteForwardingRule,
+    getForwardedEmails
+} from '../controllers/forwardingController.js';
+import {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    dryRunRule,
+    dryRunSavedRule
+} from '../controllers/ruleController.js';
+import { streamEvents } from '../controllers/eventController.js';
+import { authenticate, authenticateEventStream } from '../middleware/auth.js';
+import { uploadAttachments } from '../middleware/upload.js';
+import {
+    validateEmailSend,
+    validateTempEmailCreate,
+    validateBulkCreate,
+    validateBulkDelete,
+    validateExpiryExtend,
+    validateListQuery,
+    validateSearchQuery,
+    validateExportQuery,
+    validateWaitQuery,
+    validateEmailState,
+    validateBulkEmailState,
+    validateLabelCreate,
+    validateLabelUpdate,
+    validateEmailLabels,
+    validateWebhookCreate,
+    validateWebhookUpdate,
+    validateForwardingCreate,
+    validateForwardingUpdate,
+    validateForwardingVerify,
+    validateRuleCreate,
+    validateRuleUpdate,
+    validateRuleDryRun,
+    validateIdParam
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
+/**
+ * @route   GET /email/events
+ * @desc    Realtime mailbox events (Server-Sent Events)
+ * @access  Private - registered before router.use(authenticate) because
+ *          EventSource can't send headers and passes the token as ?token=
+ */
+router.get('/events', authenticateEventStream, streamEvents);
+
 /**
  * All email routes require authentication
  */
 router.use(authenticate);
 
+/**
+ * Row IDs in the path must be UUIDs
+ */
+for (const param of ['id', 'attachmentId', 'labelId', 'webhookId', 'ruleId']) {
+    router.param(param, validateIdParam);
+}
+
 /**
  * @route   POST /email/create
  * @desc    Create a new temporary email address
  * @access  Private
  */
-router.post('/create', createTempEmail);
+router.post('/create', validateTempEmailCreate, createTempEmail);
+
+/**
+ * @route   POST /email/create/bulk
+ * @desc    Create multiple temporary email addresses
+ * @access  Private
+ */
+router.post('/create/bulk', validateBulkCreate, createBulkTempEmails);
+
+/**
+ * @route   GET /email/addresses
+ * @desc    List user's temporary email addresses
+ * @access  Private
+ */
+router.get('/addresses', getTempEmails);
+
+/**
+ * @route   DELETE /email/addresses
+ * @desc    Delete multiple temporary email addresses
+ * @access  Private
+ */
+router.delete('/addresses', validateBulkDelete, deleteTempEmails);
+
+/**
+ * @route   GET /email/domains
+ * @desc    List available receiving domains
+ * @access  Private
+ */
+router.get('/domains', getDomains);
+
+/**
+ * @route   GET /email/addresses/unread
+ * @desc    Get unread counts per temporary email address
+ * @access  Private
+ */
+router.get('/addresses/unread', getUnreadCounts);
+
+/**
+ * @route   GET /email/addresses/:address
+ * @desc    Get temporary email address details
+ * @access  Private
+ */
+router.get('/addresses/:address', getTempEmail);
+
+/**
+ * @route   DELETE /email/addresses/:address
+ * @desc    Delete a temporary email address and its emails
+ * @access  Private
+ */
+router.delete('/addresses/:address', deleteTempEmail);
+
+/**
+ * @route   GET /email/addresses/:address/inbox
+ * @desc    Get inbox for a single temporary email address
+ * @access  Private
+ */
+router.get('/addresses/:address/inbox', validateListQuery, getAddressInbox);
+
+/**
+ * @route   GET /email/addresses/:address/latest-code
+ * @desc    Get the newest verification code and links received at an address
+ * @access  Private
+ */
+router.get('/addresses/:address/latest-code', getLatestCode);
+
+/**
+ * @route   GET /email/addresses/:address/wait
+ * @desc    Long-poll for the next email at an address (?timeout, from, subject, since)
+ * @access  Private
+ */
+router.get('/addresses/:address/wait', validateWaitQuery, waitForEmail);
+
+/**
+ * @route   POST /email/addresses/:address/extend
+ * @desc    Extend the expiry of a temporary email address
+ * @access  Private
+ */
+router.post('/addresses/:address/extend', validateExpiryExtend, extendTempEmail);
+
+/**
+ * @route   GET /email/addresses/:address/forwarding
+ * @desc    List forwarding rules for a temporary email address
+ * @access  Private
+ */
+router.get('/addresses/:address/forwarding', getForwardingRules);
+
+/**
+ * @route   POST /email/addresses/:address/forwarding
+ * @desc    Forward an address to a real mailbox (sends a verification code)
+ * @access  Private
+ */
+router.post('/addresses/:address/forwarding', validateForwardingCreate, createForwardingRule);
 
 /**
  * @route   GET /email/inbox
  * @desc    Get user's inbox
  * @access  Private
  */
-router.get('/inbox', getInbox);
+router.get('/inbox', validateListQuery, getInbox);
+
+/**
+ * @route   GET /email/quarantine
+ * @desc    Get user's quarantined (suspected spam) emails
+ * @access  Private
+ */
+router.get('/quarantine', validateListQuery, getQuarantine);
 
 /**
  * @route   GET /email/outbox
  * @desc    Get user's outbox
  * @access  Private
  */
-router.get('/outbox', getOutbox);
+router.get('/outbox', validateListQuery, getOutbox);
+
+/**
+ * @route   GET /email/search
+ * @desc    Search user's emails
+ * @access  Private
+ */
+router.get('/search', validateSearchQuery, searchEmails);
+
+/**
+ * @route   GET /email/export
+ * @desc    Export emails (?format=mbox|zip, type, address, since, until)
+ * @access  Private
+ */
+router.get('/export', validateExportQuery, exportEmails);
 
 /**
  * @route   POST /email/send
- * @desc    Send an email
+ * @desc    Send an email (JSON, or multipart/form-data with "attachments" files)
  * @access  Private
  */
-router.post('/send', validateEmailSend, sendEmail);
+router.post('/send', uploadAttachments, validateEmailSend, sendEmail);
 
 /**
  * @route   POST /email/simulate-receive
@@ -61,13 +271,230 @@ router.post('/simulate-receive', simulateReceive);
  */
 router.post('/generate-ai', generateAIEmail);
 
+/**
+ * @route   GET /email/labels
+ * @desc    List user's labels
+ * @access  Private
+ */
+router.get('/labels', getLabels);
+
+/**
+ * @route   POST /email/labels
+ * @desc    Create a label
+ * @access  Private
+ */
+router.post('/labels', validateLabelCreate, createLabel);
+
+/**
+ * @route   PATCH /email/labels/:labelId
+ * @desc    Rename or recolour a label
+ * @access  Private
+ */
+router.patch('/labels/:labelId', validateLabelUpdate, updateLabel);
+
+/**
+ * @route   DELETE /email/labels/:labelId
+ * @desc    Delete a label
+ * @access  Private
+ */
+router.delete('/labels/:labelId', deleteLabel);
+
+/**
+ * @route   GET /email/webhooks
+ * @desc    List user's webhooks
+ * @access  Private
+ */
+router.get('/webhooks', getWebhooks);
+
+/**
+ * @route   POST /email/webhooks
+ * @desc    Register a webhook (per temp address or account-wide)
+ * @access  Private
+ */
+router.post('/webhooks', validateWebhookCreate, createWebhook);
+
+/**
+ * @route   PATCH /email/webhooks/:webhookId
+ * @desc    Update a webhook or rotate its secret
+ * @access  Private
+ */
+router.patch('/webhooks/:webhookId', validateWebhookUpdate, updateWebhook);
+
+/**
+ * @route   DELETE /email/webhooks/:webhookId
+ * @desc    Delete a webhook
+ * @access  Private
+ */
+router.delete('/webhooks/:webhookId', deleteWebhook);
+
+/**
+ * @route   GET /email/webhooks/:webhookId/deliveries
+ * @desc    Get a webhook's delivery log
+ * @access  Private
+ */
+router.get('/webhooks/:webhookId/deliveries', getWebhookDeliveries);
+
+/**
+ * @route   POST /email/webhooks/:webhookId/test
+ * @desc    Send a test delivery to a webhook
+ * @access  Private
+ */
+router.post('/webhooks/:webhookId/test', testWebhook);
+
+/**
+ * @route   POST /email/forwarding/:ruleId/verify
+ * @desc    Verify a forwarding destination with the emailed code
+ * @access  Private
+ */
+router.post('/forwarding/:ruleId/verify', validateForwardingVerify, verifyForwardingRule);
+
+/**
+ * @route   POST /email/forwarding/:ruleId/resend
+ * @desc    Resend the verification code for a forwarding destination
+ * @access  Private
+ */
+router.post('/forwarding/:ruleId/resend', resendForwardingOTP);
+
+/**
+ * @route   PATCH /email/forwarding/:ruleId
+ * @desc    Update a forwarding rule's filters, active state or time limit
+ * @access  Private
+ */
+router.patch('/forwarding/:ruleId', validateForwardingUpdate, updateForwardingRule);
+
+/**
+ * @route   DELETE /email/forwarding/:ruleId
+ * @desc    Delete a forwarding rule
+ * @access  Private
+ */
+router.delete('/forwarding/:ruleId', deleteForwardingRule);
+
+/**
+ * @route   GET /email/forwarding/:ruleId/forwards
+ * @desc    Get the log of emails forwarded by a rule
+ * @access  Private
+ */
+router.get('/forwarding/:ruleId/forwards', getForwardedEmails);
+
+/**
+ * @route   GET /email/rules
+ * @desc    List user's mail rules in evaluation order
+ * @access  Private
+ */
+router.get('/rules', getRules);
+
+/**
+ * @route   POST /email/rules
+ * @desc    Create a mail rule
+ * @access  Private
+ */
+router.post('/rules', validateRuleCreate, createRule);
+
+/**
+ * @route   POST /email/rules/dry-run
+ * @desc    Report which inbox messages unsaved conditions would match
+ * @access  Private
+ */
+router.post('/rules/dry-run', validateRuleDryRun, dryRunRule);
+
+/**
+ * @route   PATCH /email/rules/:ruleId
+ * @desc    Update a mail rule
+ * @access  Private
+ */
+router.patch('/rules/:ruleId', validateRuleUpdate, updateRule);
+
+/**
+ * @route   DELETE /email/rules/:ruleId
+ * @desc    Delete a mail rule
+ * @access  Private
+ */
+router.delete('/rules/:ruleId', deleteRule);
+
+/**
+ * @route   POST /email/rules/:ruleId/dry-run
+ * @desc    Report which inbox messages a saved rule would match
+ * @access  Private
+ */
+router.post('/rules/:ruleId/dry-run', dryRunSavedRule);
+
+/**
+ * @route   PATCH /email/bulk
+ * @desc    Update state of multiple emails
+ * @access  Private
+ */
+router.patch('/bulk', validateBulkEmailState, updateEmailsState);
+
 /**
  * @route   GET /email/:id
- * @desc    Get email by ID
+ * @desc    Get email by ID (marks received email as read unless ?markRead=false)
  * @access  Private
  */
 router.get('/:id', getEmailById);
 
+/**
+ * @route   GET /email/:id/html
+ * @desc    Get sanitized HTML body (?blockImages=true to drop remote images)
+ * @access  Private
+ */
+router.get('/:id/html', getEmailHtml);
+
+/**
+ * @route   GET /email/:id/raw
+ * @desc    Download raw message source as message/rfc822
+ * @access  Private
+ */
+router.get('/:id/raw', getRawEmail);
+
+/**
+ * @route   PATCH /email/:id
+ * @desc    Update read, starred and archived state of an email
+ * @access  Private
+ */
+router.patch('/:id', validateEmailState, updateEmailState);
+
+/**
+ * @route   POST /email/:id/release
+ * @desc    Move a quarantined email to the inbox
+ * @access  Private
+ */
+router.post('/:id/release', releaseEmail);
+
+/**
+ * @route   POST /email/:id/report-spam
+ * @desc    Report a received email as spam (quarantines it)
+ * @access  Private
+ */
+router.post('/:id/report-spam', reportSpam);
+
+/**
+ * @route   GET /email/:id/attachments/:attachmentId
+ * @desc    Download an email attachment
+ * @access  Private
+ */
+router.get('/:id/attachments/:attachmentId', downloadAttachment);
+
+/**
+ * @route   PUT /email/:id/labels
+ * @desc    Replace labels assigned to an email
+ * @access  Private
+ */
+router.put('/:id/labels', validateEmailLabels, setEmailLabels);
+
+/**
+ * @route   POST /email/:id/labels/:labelId
+ * @desc    Add a label to an email
+ * @access  Private
+ */
+router.post('/:id/labels/:labelId', addEmailLabel);
+
+/**
+ * @route   DELETE /email/:id/labels/:labelId
+ * @desc    Remove a label from an email
+ * @access  Private
+ */
+router.delete('/:id/labels/:labelId', removeEmailLabel);
+
 /**
  * @route   DELETE /email/:id
  * @desc    Delete an email
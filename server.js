@@ -9,6 +9,11 @@ import authRoutes from './routes/auth.js';
 import emailRoutes from './routes/email.js';
 import newsletterRoutes from './routes/newsletter.js';
 import User from './models/User.js';
+import { startSmtpReceiver } from './utils/smtpReceiver.js';
+import { startExpiryJob, getLastExpiryRun } from './utils/expiryService.js';
+import { startEventStream, getEventStreamConnectionCount } from './utils/eventStream.js';
+import { startWebhookDispatcher } from './utils/webhookService.js';
+import { startForwardingDispatcher } from './utils/forwardingService.js';
 
 
 // Initialize Express app
@@ -144,7 +149,9 @@ app.get('/health', (req, res) => {
     res.status(200).json({
         success: true,
         message: 'TempMailX API is running',
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        cleanup: getLastExpiryRun(),
+        realtimeConnections: getEventStreamConnectionCount()
     });
 });
 
@@ -181,6 +188,21 @@ const PORT = config.port;
 // Connect to database and start server
 connectDatabase()
     .then(() => {
+        // Start inbound SMTP receiver alongside the API
+        if (config.inbound.enabled) {
+            startSmtpReceiver().catch((error) => {
+                console.error('[SMTP Receiver] Failed to start:', error.message);
+            });
+        }
+
+        // Purge expired mail and addresses on the configured interval
+        startExpiryJob();
+
+        // Push mailbox events to connected clients, registered webhooks and forwarding rules
+        startEventStream();
+        startWebhookDispatcher();
+        startForwardingDispatcher();
+
         app.listen(PORT, () => {
             console.log(`
 ╔═══════════════════════════════════════════╗
@@ -193,7 +215,8 @@ connectDatabase()
 ✓ Environment: ${config.env}
 ✓ Frontend URL: ${config.frontend.url}
 ✓ Database: Connected
-✓ Email expiry: ${config.email.expiryHours} hours
+✓ Email expiry: ${config.email.expiryHours} hours (cleanup every ${config.email.cleanupIntervalMinutes} min)
+✓ Inbound SMTP: ${config.inbound.enabled ? `port ${config.inbound.port}` : 'disabled'}
 
 API Endpoints:
   POST   /auth/signup
@@ -207,6 +230,7 @@ API Endpoints:
   POST   /email/send
   GET    /email/:id
   DELETE /email/:id
+  GET    /email/events (Server-Sent Events)
 
 Ready to accept requests! 🚀
       `);
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCode, extractVerificationLinks, extractVerification } from '../utils/codeExtractor.js';
+
+describe('verification code extractor', () => {
+    it('finds the code next to its keyword', () => {
+        assert.equal(extractCode('Your verification code is 482913.'), '482913');
+        assert.equal(extractCode('Use 7731 as your one-time passcode'), '7731');
+        assert.equal(extractCode('Confirmation code: 123-456'), '123456');
+        assert.equal(extractCode('Your code: AB12CD'), 'AB12CD');
+    });
+
+    it('ignores years, times, prices and text without a keyword', () => {
+        assert.equal(extractCode('Order 482913 has shipped'), null);
+        assert.equal(extractCode('Your code expires in 2026'), null);
+        assert.equal(extractCode('Your code is valid until 10:30'), null);
+        assert.equal(extractCode('Code for $1999 off'), null);
+    });
+
+    it('prefers the digits-only candidate closest after the keyword', () => {
+        assert.equal(extractCode('Ref X1Y2Z3 - your code is 556677, order 998877'), '556677');
+    });
+
+    it('keeps verification links from anchors and text but not footer links', () => {
+        const html = [
+            '<a href="https://app.example.com/a?token=1&amp;u=2">here</a>',
+            '<a href="https://app.example.com/welcome">Confirm my account</a>',
+            '<a href="https://app.example.com/unsubscribe?token=1">Unsubscribe</a>',
+            '<a href="mailto:verify@example.com">verify</a>'
+        ].join('');
+        const text = 'Or open https://app.example.com/verify/abc and https://example.com/blog';
+
+        assert.deepEqual(extractVerificationLinks(text, html), [
+            'https://app.example.com/a?token=1&u=2',
+            'https://app.example.com/welcome',
+            'https://app.example.com/verify/abc'
+        ]);
+    });
+
+    it('reads the subject first, then the text body, then the HTML body', () => {
+        assert.equal(extractVerification({ subject: 'Your code is 1111', body: 'Your code is 2222' }).code, '1111');
+        assert.equal(extractVerification({ subject: 'Welcome', body: '', html: '<p>Your code is <b>3333</b></p>' }).code, '3333');
+        assert.deepEqual(extractVerification({}), { code: null, links: [] });
+    });
+});
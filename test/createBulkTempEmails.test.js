@@ -0,0 +1,69 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse, quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import User from '../models/User.js';
+import { createBulkTempEmails } from '../controllers/emailController.js';
+
+const create = async (count) => {
+    const res = mockResponse();
+    await createBulkTempEmails({ user: { id: 'u1' }, body: { count } }, res);
+    return res;
+};
+
+describe('bulk temp address creation', () => {
+    let inserted;
+
+    beforeEach(() => {
+        quietConsole();
+        config.quotas.maxAddressesPerUser = 100;
+        inserted = [];
+
+        mock.method(User, 'addTempEmailsWithinQuota', async (userId, addresses, expiresAt) => {
+            inserted.push(...addresses);
+            return { used: 0, records: addresses.map(address => ({ email_address: address, expires_at: expiresAt })) };
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('replaces taken addresses and checks the replacements before inserting', async () => {
+        let firstBatch;
+        mock.method(User, 'findExistingTempEmails', async (addresses) => {
+            if (!firstBatch) {
+                firstBatch = addresses;
+                return [addresses[0]];
+            }
+            return [];
+        });
+
+        const res = await create(5);
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(User.findExistingTempEmails.mock.callCount(), 2);
+        assert.equal(new Set(inserted).size, 5);
+        assert.ok(!inserted.includes(firstBatch[0]));
+    });
+
+    it('gives up with 503 rather than insert an address that is still taken', async () => {
+        mock.method(User, 'findExistingTempEmails', async (addresses) => [addresses[addresses.length - 1]]);
+
+        const res = await create(3);
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(inserted.length, 0);
+    });
+
+    it('answers 503 when another request inserts one of the addresses first', async () => {
+        mock.method(User, 'findExistingTempEmails', async () => []);
+        User.addTempEmailsWithinQuota.mock.mockImplementation(async () => {
+            throw new Error('Failed to add temp emails: duplicate key value violates unique constraint "temp_emails_email_address_key"');
+        });
+
+        const res = await create(3);
+
+        assert.equal(res.statusCode, 503);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { SMTPServer } from 'smtp-server';
+import { quietConsole } from './helpers.js';
+import { composeRawMessage, sendTempEmail } from '../utils/emailService.js';
+
+describe('sending from a temp address', () => {
+    let server;
+    let received;
+
+    before(async () => {
+        server = new SMTPServer({
+            disabledCommands: ['STARTTLS'],
+            onAuth: (auth, session, callback) => callback(null, { user: auth.username }),
+            onData: (stream, session, callback) => {
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    received.push({ envelope: session.envelope, raw: Buffer.concat(chunks).toString('utf8') });
+                    callback(null, 'Queued as test');
+                });
+            }
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server.server, 'listening');
+
+        process.env.EMAIL_USER = 'relay@example.com';
+        process.env.EMAIL_PASSWORD = 'secret';
+        process.env.EMAIL_HOST = '127.0.0.1';
+        process.env.EMAIL_PORT = String(server.server.address().port);
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        quietConsole();
+        received = [];
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('reports the Message-ID of the source it sent', async () => {
+        const raw = await composeRawMessage({ from: 'me@tempmailx.com', to: 'you@example.com', subject: 'Hi', body: 'Hello' });
+        const sentId = /^Message-ID: (.+)$/m.exec(raw.toString())[1].trim();
+
+        const info = await sendTempEmail({ from: 'me@tempmailx.com', to: 'you@example.com', raw });
+
+        assert.equal(info.messageId, sentId);
+        assert.equal(received.length, 1);
+        assert.match(received[0].raw, new RegExp(`^Message-ID: ${sentId}`, 'm'));
+        assert.equal(received[0].envelope.mailFrom.address, 'relay@example.com');
+        assert.deepEqual(received[0].envelope.rcptTo.map(({ address }) => address), ['you@example.com']);
+    });
+
+    it('reads a folded Message-ID from the headers only', async () => {
+        const raw = Buffer.from([
+            'From: me@tempmailx.com',
+            'To: you@example.com',
+            'Message-ID:',
+            ' <folded@tempmailx.com>',
+            '',
+            'Message-ID: <in-body@example.com>',
+            ''
+        ].join('\r\n'));
+
+        const info = await sendTempEmail({ from: 'me@tempmailx.com', to: 'you@example.com', raw });
+
+        assert.equal(info.messageId, '<folded@tempmailx.com>');
+    });
+});
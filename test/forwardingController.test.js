@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse, quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import ForwardingRule from '../models/ForwardingRule.js';
+import { storeForwardingOTP, verifyForwardingOTP, recordForwardingOTPSend } from '../utils/otpService.js';
+import { verifyForwardingRule, resendForwardingOTP } from '../controllers/forwardingController.js';
+
+const RULE_ID = '3f1c2a9e-8b7d-4c6e-9f0a-1b2c3d4e5f60';
+
+describe('forwarding verification limits', () => {
+    let rule;
+
+    beforeEach(() => {
+        quietConsole();
+        delete process.env.EMAIL_USER;
+        Object.assign(config.forwarding, {
+            otpResendCooldownSeconds: 60,
+            maxOtpSendsPerRule: 5,
+            maxOtpSendsPerUserPerHour: 10,
+            maxOtpFailedAttempts: 3
+        });
+
+        rule = {
+            id: RULE_ID,
+            user_id: 'u1',
+            address: 'me@tempmailx.com',
+            destination: 'me@example.com',
+            is_verified: false,
+            otp_failed_attempts: 0,
+            otp_send_count: 1,
+            otp_sent_at: new Date(Date.now() - 120 * 1000).toISOString()
+        };
+
+        mock.method(ForwardingRule, 'findById', async () => rule);
+        mock.method(ForwardingRule, 'update', async (id, updates) => {
+            rule = { ...rule, ...updates };
+            return rule;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const verify = async (otp) => {
+        const res = mockResponse();
+        await verifyForwardingRule({ user: { id: 'u1' }, params: { ruleId: RULE_ID }, body: { otp } }, res);
+        return res;
+    };
+
+    const resend = async () => {
+        const res = mockResponse();
+        await resendForwardingOTP({ user: { id: 'u1' }, params: { ruleId: RULE_ID } }, res);
+        return res;
+    };
+
+    it('locks the rule after too many wrong codes, across resends', async () => {
+        storeForwardingOTP(RULE_ID, '111111');
+        assert.equal((await verify('000000')).statusCode, 400);
+        assert.equal((await verify('000000')).statusCode, 400);
+
+        // A fresh code does not reset the count kept on the rule
+        storeForwardingOTP(RULE_ID, '222222');
+        const locked = await verify('000000');
+        assert.equal(locked.statusCode, 423);
+        assert.equal(rule.otp_failed_attempts, 3);
+
+        assert.equal((await verify('222222')).statusCode, 423);
+        assert.equal(rule.is_verified, false);
+        assert.equal(verifyForwardingOTP(RULE_ID, '222222').message, 'No OTP found. Please request a new one.');
+
+        assert.equal((await resend()).statusCode, 423);
+    });
+
+    it('verifies the rule with the right code', async () => {
+        storeForwardingOTP(RULE_ID, '333333');
+
+        const res = await verify(' 333333 ');
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(rule.is_verified, true);
+    });
+
+    it('enforces the resend cooldown and the per-rule send cap', async () => {
+        rule.otp_sent_at = new Date(Date.now() - 15 * 1000).toISOString();
+        const early = await resend();
+        assert.equal(early.statusCode, 429);
+        assert.ok(Number(early.headers['retry-after']) > 40);
+
+        rule.otp_sent_at = new Date(Date.now() - 120 * 1000).toISOString();
+        const sent = await resend();
+        assert.equal(sent.statusCode, 200);
+        assert.equal(rule.otp_send_count, 2);
+
+        rule.otp_send_count = 5;
+        rule.otp_sent_at = new Date(Date.now() - 120 * 1000).toISOString();
+        const capped = await resend();
+        assert.equal(capped.statusCode, 429);
+        assert.match(capped.body.message, /at most 5 verification codes/);
+    });
+
+    it('caps the codes sent to one user per hour', async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal(recordForwardingOTPSend('u-hourly', 10), true);
+        }
+        assert.equal(recordForwardingOTPSend('u-hourly', 10), false);
+        assert.equal(recordForwardingOTPSend('u-other', 10), true);
+    });
+
+    it('expires a code after five wrong tries even before the rule locks', () => {
+        storeForwardingOTP('r-tries', '444444');
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal(verifyForwardingOTP('r-tries', '000000').success, false);
+        }
+
+        assert.equal(verifyForwardingOTP('r-tries', '444444').message, 'Too many failed attempts. Please request a new OTP.');
+    });
+});
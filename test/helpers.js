@@ -0,0 +1,75 @@
+import { mock } from 'node:test';
+import { registerBlobStoreDriver } from '../utils/blobStore.js';
+import config from '../config/env.js';
+
+/**
+ * Test Helpers
+ * Tests run without Supabase: model methods are replaced with mock.method, and
+ * attachment content goes to an in-memory blob store.
+ */
+
+const blobs = new Map();
+
+registerBlobStoreDriver('memory', () => ({
+    async put(key, content) {
+        blobs.set(key, content);
+    },
+    async get(key) {
+        if (!blobs.has(key)) {
+            throw new Error(`Missing blob: ${key}`);
+        }
+        return blobs.get(key);
+    },
+    async removePrefix(prefix) {
+        for (const key of blobs.keys()) {
+            if (key.startsWith(`${prefix}/`)) {
+                blobs.delete(key);
+            }
+        }
+    }
+}));
+
+config.attachments.storageDriver = 'memory';
+
+/**
+ * Blobs written by the code under test, keyed by storage key
+ */
+export const storedBlobs = blobs;
+
+/**
+ * Silence console output from the code under test for the rest of the test
+ */
+export const quietConsole = () => {
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, () => {});
+    }
+};
+
+/**
+ * Minimal Express response that records what was sent
+ * @returns {Object} res with status, json, set, end; the result is in res.statusCode, res.body and res.headers
+ */
+export const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        json(body) {
+            res.body = body;
+            return res;
+        },
+        set(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        end() {
+            return res;
+        }
+    };
+
+    return res;
+};
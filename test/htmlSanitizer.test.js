@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeEmailHtml, textToHtml } from '../utils/htmlSanitizer.js';
+
+const styleOf = (html) => /style="([^"]*)"/.exec(sanitizeEmailHtml(html).html)?.[1] ?? null;
+
+describe('email HTML sanitizer', () => {
+    it('keeps whitelisted inline styles', () => {
+        assert.equal(
+            styleOf('<p style="color: #333; font-size: 14px; margin: 0 auto; border: 1px solid rgb(0, 0, 0)">x</p>'),
+            'color:#333;font-size:14px;margin:0 auto;border:1px solid rgb(0, 0, 0)'
+        );
+    });
+
+    it('drops styles that could load remote content, however they are spelled', () => {
+        for (const style of [
+            'background: url(https://t.example/p.gif)',
+            'background-image: url(https://t.example/p.gif)',
+            'background: \\75 rl(https://t.example/p.gif)',
+            'background: image-set("https://t.example/p.gif" 1x)',
+            'font-family: x; behavior: url(x.htc)',
+            'list-style-image: url(x)'
+        ]) {
+            const kept = styleOf(`<div style='${style}'>x</div>`) || '';
+            assert.doesNotMatch(kept, /url|image-set|\\|behavior/i, style);
+        }
+    });
+
+    it('removes scripts, handlers and tracking pixels and can block remote images', () => {
+        const html = [
+            '<script>alert(1)</script>',
+            '<a href="javascript:alert(1)" onclick="x()">a</a>',
+            '<img src="https://t.example/open.gif" width="1" height="1">',
+            '<img src="https://cdn.example/logo.png" width="120">'
+        ].join('');
+
+        const shown = sanitizeEmailHtml(html);
+        assert.doesNotMatch(shown.html, /script|javascript|onclick|open\.gif/);
+        assert.match(shown.html, /logo\.png/);
+        assert.match(shown.html, /rel="noopener noreferrer"/);
+        assert.equal(shown.trackersRemoved, 1);
+
+        const blocked = sanitizeEmailHtml(html, { blockImages: true });
+        assert.doesNotMatch(blocked.html, /logo\.png/);
+        assert.equal(blocked.imagesBlocked, 1);
+    });
+
+    it('escapes plain text bodies', () => {
+        assert.equal(textToHtml('<b>&"'), '<pre style="white-space: pre-wrap; font-family: inherit;">&lt;b&gt;&amp;&quot;</pre>');
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse, quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import MailRule from '../models/MailRule.js';
+import { deliverInboundEmail } from '../utils/inboundMail.js';
+import { extendTempEmail } from '../controllers/addressController.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('stored mail expiry', () => {
+    let tempEmail;
+
+    beforeEach(() => {
+        quietConsole();
+        config.spam.enabled = false;
+        config.email.maxExpiryHours = 24 * 7;
+
+        tempEmail = {
+            id: 't1',
+            user_id: 'u1',
+            email_address: 'me@tempmailx.com',
+            expires_at: new Date(Date.now() + 2 * HOUR_MS).toISOString()
+        };
+
+        mock.method(User, 'findTempEmail', async () => tempEmail);
+        mock.method(User, 'updateTempEmail', async (id, updates) => ({ ...tempEmail, ...updates }));
+        mock.method(Email, 'updateExpiryByAddress', async () => true);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('stores received mail with the expiry of its address', async () => {
+        mock.method(MailRule, 'findActiveByUser', async () => []);
+        mock.method(Email, 'getUsage', async () => []);
+        mock.method(Email, 'claimQuota', async () => null);
+        mock.method(Email, 'create', async (email) => ({ id: 'e1', ...email }));
+
+        await deliverInboundEmail({ from: 'a@example.com', to: 'me@tempmailx.com', subject: 'Hi', body: 'Hello' });
+
+        assert.equal(Email.create.mock.calls[0].arguments[0].expiresAt, tempEmail.expires_at);
+    });
+
+    it('moves the expiry of stored mail along when the address is extended', async () => {
+        const res = mockResponse();
+
+        await extendTempEmail({ user: { id: 'u1' }, params: { address: 'me@tempmailx.com' }, body: { hours: 24 } }, res);
+
+        assert.equal(res.statusCode, 200);
+        const expected = new Date(new Date(tempEmail.expires_at).getTime() + 24 * HOUR_MS).toISOString();
+        assert.equal(res.body.data.expiresAt, expected);
+        assert.deepEqual(Email.updateExpiryByAddress.mock.calls[0].arguments, ['u1', 'me@tempmailx.com', expected]);
+    });
+});
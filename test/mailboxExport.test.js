@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable, Writable } from 'stream';
+import { storedBlobs, quietConsole } from './helpers.js';
+import Email from '../models/Email.js';
+import { writeMbox } from '../utils/mailboxExport.js';
+
+const email = (id, raw) => {
+    storedBlobs.set(`${id}/raw.eml`, Readable.from([Buffer.from(raw, 'binary')]));
+
+    return { id, type: 'received', from_email: 'a@example.com', raw_size: raw.length, created_at: '2026-10-05T07:04:03.000Z' };
+};
+
+const collect = (stream) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    return () => Buffer.concat(chunks).toString('binary');
+};
+
+describe('mbox export', () => {
+    beforeEach(() => {
+        quietConsole();
+    });
+
+    afterEach(() => {
+        storedBlobs.clear();
+        mock.restoreAll();
+    });
+
+    it('writes separators, LF line endings and mboxrd From quoting', async () => {
+        const emails = [
+            email('e1', 'Subject: one\r\n\r\nFrom the start\r\n>From quoted once\r\nnot From here\r\n'),
+            email('e2', 'Subject: two\r\n\r\nno newline at end')
+        ];
+        mock.method(Email, 'list', async () => ({ emails, hasMore: false, nextCursor: null }));
+
+        const output = new PassThrough();
+        const text = collect(output);
+
+        assert.equal(await writeMbox('u1', { types: ['received'] }, output), 2);
+        assert.equal(text(), [
+            'From a@example.com Mon Oct  5 07:04:03 2026',
+            'Subject: one',
+            '',
+            '>From the start',
+            '>>From quoted once',
+            'not From here',
+            '',
+            'From a@example.com Mon Oct  5 07:04:03 2026',
+            'Subject: two',
+            '',
+            'no newline at end',
+            '',
+            ''
+        ].join('\n'));
+    });
+
+    it('stops with an error when the client disconnects while waiting to drain', async () => {
+        const emails = [email('e1', `Subject: big\r\n\r\n${'x'.repeat(1024)}\r\n`), email('e2', 'Subject: two\r\n\r\n.\r\n')];
+        mock.method(Email, 'list', async () => ({ emails, hasMore: false, nextCursor: null }));
+
+        // Never drains, like a response whose client went away
+        const output = new Writable({ highWaterMark: 16, write() {} });
+        setImmediate(() => output.destroy());
+
+        await assert.rejects(writeMbox('u1', { types: ['received'] }, output), /client disconnected/);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isUuid,
+    encodeCursor,
+    decodeCursor,
+    buildPage,
+    encodeOffsetCursor,
+    decodeOffsetCursor
+} from '../utils/pagination.js';
+
+const ID = '3f1c2a9e-8b7d-4c6e-9f0a-1b2c3d4e5f60';
+
+const rawCursor = (text) => Buffer.from(text).toString('base64url');
+
+describe('pagination cursors', () => {
+    it('round-trips the created_at and id of a row', () => {
+        for (const createdAt of ['2026-01-02T03:04:05Z', '2026-01-02T03:04:05.123456+00:00', '2026-01-02T03:04:05.1-05:30']) {
+            assert.deepEqual(decodeCursor(encodeCursor({ created_at: createdAt, id: ID })), { createdAt, id: ID });
+        }
+    });
+
+    it('rejects cursors whose parts could not have come from a row', () => {
+        for (const text of [
+            '',
+            '2026-01-02T03:04:05Z',
+            `2026-01-02|${ID}`,
+            `2026-13-45T99:99:99Z|${ID}`,
+            '2026-01-02T03:04:05Z|1',
+            `2026-01-02T03:04:05Z|${ID},id.gt.0`,
+            `2026-01-02T03:04:05Z),created_at.gt.(0|${ID}`
+        ]) {
+            assert.equal(decodeCursor(rawCursor(text)), null, text);
+        }
+        assert.equal(decodeCursor('%%%'), null);
+    });
+
+    it('decodes offset cursors and nothing else', () => {
+        assert.equal(decodeOffsetCursor(encodeOffsetCursor(40)), 40);
+        assert.equal(decodeOffsetCursor(rawCursor('offset:-1')), null);
+        assert.equal(decodeOffsetCursor(rawCursor('offset:1e3')), null);
+        assert.equal(decodeOffsetCursor(encodeCursor({ created_at: '2026-01-02T03:04:05Z', id: ID })), null);
+    });
+
+    it('splits the extra row off into the next cursor', () => {
+        const rows = [1, 2, 3].map(n => ({ created_at: `2026-01-0${n}T00:00:00Z`, id: ID }));
+
+        const page = buildPage(rows, 2);
+        assert.equal(page.emails.length, 2);
+        assert.equal(page.hasMore, true);
+        assert.deepEqual(decodeCursor(page.nextCursor), { createdAt: '2026-01-02T00:00:00Z', id: ID });
+
+        assert.deepEqual(buildPage(rows, 3), { emails: rows, hasMore: false, nextCursor: null });
+    });
+
+    it('only treats hyphenated hex UUIDs as ids', () => {
+        assert.equal(isUuid(ID), true);
+        assert.equal(isUuid(ID.toUpperCase()), true);
+        assert.equal(isUuid(ID.replace(/-/g, '')), false);
+        assert.equal(isUuid(undefined), false);
+        assert.equal(isUuid(` ${ID}`), false);
+    });
+});
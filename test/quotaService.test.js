@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse, quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import {
+    QUOTA_EXCEEDED,
+    messageSize,
+    addAddressesWithinQuota,
+    checkMessageQuota,
+    claimMessageQuota
+} from '../utils/quotaService.js';
+import { createTempEmail, createBulkTempEmails } from '../controllers/emailController.js';
+
+const MB = 1024 * 1024;
+
+describe('quota service', () => {
+    beforeEach(() => {
+        quietConsole();
+        config.quotas.maxAddressesPerUser = 3;
+        config.quotas.maxMessagesPerAddress = 10;
+        config.quotas.maxStorageMBPerAddress = 1;
+        config.quotas.maxMessagesPerUser = 20;
+        config.quotas.maxStorageMBPerUser = 2;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('sizes a message by its raw source, else by its text and HTML parts', () => {
+        assert.equal(messageSize({ raw: Buffer.alloc(42), body: 'ignored' }), 42);
+        assert.equal(messageSize({ body: 'héllo', html: '<p>hi</p>' }), 6 + 9);
+        assert.equal(messageSize({}), 0);
+    });
+
+    it('creates addresses in one atomic call and reports the limit when it is reached', async () => {
+        mock.method(User, 'countActiveTempEmails', async () => {
+            throw new Error('the limit must not be checked with a separate count');
+        });
+        mock.method(User, 'addTempEmailsWithinQuota', async (userId, addresses, expiresAt, limit) => (
+            addresses.length + 2 > limit
+                ? { used: 2, records: null }
+                : { used: 2, records: addresses.map(address => ({ email_address: address, expires_at: expiresAt })) }
+        ));
+
+        const records = await addAddressesWithinQuota('u1', ['a@tempmailx.com'], '2030-01-01T00:00:00.000Z');
+        assert.deepEqual(records.map(record => record.email_address), ['a@tempmailx.com']);
+
+        await assert.rejects(
+            addAddressesWithinQuota('u1', ['b@tempmailx.com', 'c@tempmailx.com'], '2030-01-01T00:00:00.000Z'),
+            (error) => {
+                assert.equal(error.code, QUOTA_EXCEEDED);
+                assert.deepEqual(error.quota, { type: 'addresses', scope: 'user', used: 2, limit: 3 });
+                assert.equal(error.permanent, false);
+                assert.match(error.message, /requested 2/);
+                return true;
+            }
+        );
+    });
+
+    it('returns 403 with the quota when parallel creates lose the race for the last slot', async () => {
+        let used = 2;
+        mock.method(User, 'findTempEmail', async () => null);
+        mock.method(User, 'addTempEmailsWithinQuota', async (userId, addresses, expiresAt, limit) => {
+            // Stands in for the locked count-and-insert in SQL
+            if (used + addresses.length > limit) {
+                return { used, records: null };
+            }
+            used += addresses.length;
+            return { used: used - addresses.length, records: addresses.map(address => ({ email_address: address, expires_at: expiresAt })) };
+        });
+
+        const responses = [mockResponse(), mockResponse(), mockResponse()];
+        await Promise.all(responses.map(res => createTempEmail({ user: { id: 'u1' }, body: {} }, res)));
+
+        assert.deepEqual(responses.map(res => res.statusCode).sort(), [201, 403, 403]);
+        assert.equal(used, 3);
+
+        mock.method(User, 'findExistingTempEmails', async () => []);
+        const bulk = mockResponse();
+        await createBulkTempEmails({ user: { id: 'u1' }, body: { count: 2 } }, bulk);
+        assert.equal(bulk.statusCode, 403);
+        assert.equal(bulk.body.data.quota.type, 'addresses');
+    });
+
+    it('refuses a message bigger than the quota itself as permanent', async () => {
+        mock.method(Email, 'claimQuota', async () => null);
+
+        await assert.rejects(claimMessageQuota('u1', 'A@tempmailx.com', 1.5 * MB), (error) => {
+            assert.equal(error.code, QUOTA_EXCEEDED);
+            assert.equal(error.permanent, true);
+            assert.equal(error.quota.scope, 'address');
+            return true;
+        });
+        assert.equal(Email.claimQuota.mock.callCount(), 0);
+    });
+
+    it('claims with lowercased addresses and maps an exceeded limit to a quota error', async () => {
+        mock.method(Email, 'claimQuota', async () => ({ scope: 'user', type: 'messages', used: 20, limit: 20 }));
+
+        await assert.rejects(claimMessageQuota('u1', 'A@TempMailX.com', 100), (error) => {
+            assert.equal(error.message, 'Your account is full (20 messages)');
+            assert.deepEqual(error.quota, { type: 'messages', scope: 'user', used: 20, limit: 20 });
+            assert.equal(error.permanent, false);
+            return true;
+        });
+        assert.deepEqual(Email.claimQuota.mock.calls[0].arguments.slice(0, 3), ['u1', 'a@tempmailx.com', 100]);
+    });
+
+    it('checks for room without claiming, address limits first', async () => {
+        mock.method(Email, 'claimQuota', async () => null);
+        mock.method(Email, 'getUsage', async () => [
+            { address: 'a@tempmailx.com', messageCount: 10, totalBytes: 100 },
+            { address: 'b@tempmailx.com', messageCount: 1, totalBytes: MB }
+        ]);
+
+        await assert.rejects(checkMessageQuota('u1', 'A@tempmailx.com'), /Mailbox a@tempmailx.com is full \(10 messages\)/);
+        await assert.rejects(checkMessageQuota('u1', 'b@tempmailx.com', 1), /Mailbox b@tempmailx.com is out of storage \(1 MB\)/);
+        await checkMessageQuota('u1', 'c@tempmailx.com', 1000);
+        assert.equal(Email.claimQuota.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers.js';
+import Email from '../models/Email.js';
+import MailRule from '../models/MailRule.js';
+import { MAIL_EVENTS, onMailEvent } from '../utils/mailEvents.js';
+import { releaseQuarantinedEmail } from '../utils/inboundMail.js';
+
+describe('releasing quarantined mail', () => {
+    let events;
+    let unsubscribe;
+
+    beforeEach(() => {
+        quietConsole();
+        events = [];
+        unsubscribe = onMailEvent(event => events.push(event));
+
+        mock.method(MailRule, 'findActiveByUser', async () => []);
+        mock.method(Email, 'update', async (id, updates) => ({ id, user_id: 'u1', to_email: 'me@tempmailx.com', ...updates }));
+    });
+
+    afterEach(() => {
+        unsubscribe();
+        mock.restoreAll();
+    });
+
+    it('announces mail that was quarantined on arrival', async () => {
+        const released = await releaseQuarantinedEmail('u1', { id: 'e1', is_quarantined: true, announced_at: null });
+
+        assert.equal(released.is_quarantined, false);
+        assert.ok(released.announced_at);
+        assert.deepEqual(events.map(({ type, data }) => [type, data.id]), [[MAIL_EVENTS.EMAIL_RECEIVED, 'e1']]);
+    });
+
+    it('only moves reported mail back, since it was announced when it arrived', async () => {
+        await releaseQuarantinedEmail('u1', { id: 'e2', is_quarantined: true, announced_at: '2026-10-01T00:00:00.000Z' });
+
+        assert.deepEqual(Email.update.mock.calls[0].arguments, ['e2', { is_quarantined: false }]);
+        assert.equal(events.length, 0);
+    });
+});
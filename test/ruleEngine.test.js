@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSafeRegex } from '../utils/safeRegex.js';
+import { matchesCondition, matchesRule, evaluateRules } from '../utils/ruleEngine.js';
+
+const message = {
+    from: 'Alerts@Mail.Example.com',
+    to: 'me@tempmailx.com',
+    subject: 'Your code is 123456',
+    body: '',
+    html: '<style>.x{}</style><p>Click&nbsp;<b>here</b></p>'
+};
+
+describe('rule engine', () => {
+    it('matches contains, regex and domain conditions case-insensitively', () => {
+        assert.equal(matchesCondition({ field: 'subject', operator: 'contains', value: 'YOUR CODE' }, message), true);
+        assert.equal(matchesCondition({ field: 'subject', operator: 'regex', value: '\\bcode is \\d{6}$' }, message), true);
+        assert.equal(matchesCondition({ field: 'from', operator: 'domain', value: '@example.com' }, message), true);
+        assert.equal(matchesCondition({ field: 'from', operator: 'domain', value: 'ample.com' }, message), false);
+        assert.equal(matchesCondition({ field: 'to', operator: 'domain', value: 'mail.example.com' }, message), false);
+    });
+
+    it('matches the body of HTML-only mail on its text', () => {
+        assert.equal(matchesCondition({ field: 'body', operator: 'contains', value: 'click here' }, message), true);
+        assert.equal(matchesCondition({ field: 'body', operator: 'contains', value: '.x{}' }, message), false);
+    });
+
+    it('never matches a stored regex that RE2 cannot compile', () => {
+        assert.throws(() => compileSafeRegex('(?<=a)b'));
+        assert.equal(matchesCondition({ field: 'subject', operator: 'regex', value: '(?<=a)b' }, message), false);
+        assert.equal(matchesCondition({ field: 'subject', operator: 'regex', value: '(' }, message), false);
+    });
+
+    it('runs catastrophic patterns in linear time', () => {
+        const started = Date.now();
+        const matched = matchesCondition(
+            { field: 'subject', operator: 'regex', value: '^(a+)+$' },
+            { subject: `${'a'.repeat(50000)}!` }
+        );
+
+        assert.equal(matched, false);
+        assert.ok(Date.now() - started < 2000);
+    });
+
+    it('combines conditions by match mode and ignores rules without conditions', () => {
+        const conditions = [
+            { field: 'subject', operator: 'contains', value: 'code' },
+            { field: 'from', operator: 'contains', value: 'nobody' }
+        ];
+
+        assert.equal(matchesRule({ conditions, match_mode: 'all' }, message), false);
+        assert.equal(matchesRule({ conditions, match_mode: 'any' }, message), true);
+        assert.equal(matchesRule({ conditions: [], match_mode: 'any' }, message), false);
+    });
+
+    it('combines actions in priority order until a terminal action or stop_processing', () => {
+        const always = [{ field: 'to', operator: 'contains', value: '@' }];
+        const rules = [
+            { id: 'r1', conditions: always, actions: [{ type: 'label', labelId: 'l1' }, { type: 'star' }] },
+            { id: 'r2', conditions: always, actions: [{ type: 'label', labelId: 'l1' }, { type: 'forward', destination: 'a@b.co' }] },
+            { id: 'r3', conditions: always, actions: [{ type: 'forward', destination: 'a@b.co' }], stop_processing: true },
+            { id: 'r4', conditions: always, actions: [{ type: 'mark_read' }] }
+        ];
+
+        const outcome = evaluateRules(rules, message);
+        assert.deepEqual(outcome.matchedRuleIds, ['r1', 'r2', 'r3']);
+        assert.deepEqual(outcome.labelIds, ['l1']);
+        assert.deepEqual(outcome.forwards, [{ destination: 'a@b.co', ruleId: 'r2' }]);
+        assert.equal(outcome.star, true);
+        assert.equal(outcome.markRead, false);
+
+        const rejected = evaluateRules([{ id: 'r0', conditions: always, actions: [{ type: 'reject' }] }, ...rules], message);
+        assert.equal(rejected.reject, true);
+        assert.equal(rejected.decidedBy, 'r0');
+        assert.deepEqual(rejected.matchedRuleIds, ['r0']);
+    });
+});
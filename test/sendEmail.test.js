@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole, storedBlobs, mockResponse } from './helpers.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import Attachment from '../models/Attachment.js';
+import { sendEmail } from '../controllers/emailController.js';
+
+describe('POST /email/send', () => {
+    let rows;
+
+    beforeEach(() => {
+        quietConsole();
+        rows = new Map();
+        storedBlobs.clear();
+
+        mock.method(User, 'findTempEmail', async (address) => ({ id: 't1', user_id: 'u1', email_address: address, expires_at: null }));
+        mock.method(Email, 'claimQuota', async () => null);
+        mock.method(Email, 'releaseQuota', async () => {});
+        mock.method(Email, 'create', async ({ from, to }) => {
+            const email = { id: 'e1', user_id: 'u1', from_email: from, to_email: to };
+            rows.set(email.id, email);
+            return email;
+        });
+        mock.method(Email, 'deleteById', async (id) => rows.delete(id));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('refuses to send from an expired address', async () => {
+        User.findTempEmail.mock.mockImplementation(async (address) => ({
+            id: 't1',
+            user_id: 'u1',
+            email_address: address,
+            expires_at: new Date(Date.now() - 1000).toISOString()
+        }));
+
+        const res = mockResponse();
+
+        await sendEmail({
+            user: { id: 'u1' },
+            body: { from: 'temp@tempmailx.com', to: 'friend@example.org', subject: 'Hi', body: 'Hello' }
+        }, res);
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(Email.create.mock.callCount(), 0);
+    });
+
+    it('removes the outbox copy when its attachments cannot be saved', async () => {
+        mock.method(Attachment, 'createMany', async () => {
+            throw new Error('value too long for type character varying(255)');
+        });
+
+        const res = mockResponse();
+
+        await sendEmail({
+            user: { id: 'u1' },
+            body: { from: 'temp@tempmailx.com', to: 'friend@example.org', subject: 'Files', body: 'Attached' },
+            files: [{ originalname: 'a.txt', mimetype: 'text/plain', buffer: Buffer.from('data') }]
+        }, res);
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(rows.size, 0);
+        assert.equal(storedBlobs.size, 0);
+        // The database trigger gives the quota back when the row is deleted
+        assert.equal(Email.releaseQuota.mock.callCount(), 0);
+    });
+});
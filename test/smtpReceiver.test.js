@@ -0,0 +1,121 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import nodemailer from 'nodemailer';
+import { quietConsole, storedBlobs } from './helpers.js';
+import config from '../config/env.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import MailRule from '../models/MailRule.js';
+import Attachment from '../models/Attachment.js';
+import { startSmtpReceiver, stopSmtpReceiver } from '../utils/smtpReceiver.js';
+
+describe('SMTP receiver', () => {
+    let transport;
+    let stored;
+
+    before(async () => {
+        config.spam.enabled = false;
+        config.inbound.host = '127.0.0.1';
+        config.inbound.port = 0;
+
+        const server = await startSmtpReceiver();
+
+        transport = nodemailer.createTransport({
+            host: '127.0.0.1',
+            port: server.server.address().port,
+            secure: false,
+            ignoreTLS: true
+        });
+    });
+
+    after(async () => {
+        await stopSmtpReceiver();
+    });
+
+    beforeEach(() => {
+        quietConsole();
+        stored = [];
+        storedBlobs.clear();
+
+        mock.method(User, 'findTempEmail', async (address) => ({ id: 't1', user_id: 'u1', email_address: address.toLowerCase(), expires_at: null }));
+        mock.method(MailRule, 'findActiveByUser', async () => []);
+        mock.method(Email, 'getUsage', async () => []);
+        mock.method(Email, 'claimQuota', async () => null);
+        mock.method(Email, 'releaseQuota', async () => {});
+        mock.method(Email, 'create', async ({ from, to, subject }) => {
+            const email = { id: `e${stored.length + 1}`, user_id: 'u1', from_email: from, to_email: to, subject, is_quarantined: false };
+            stored.push(email);
+            return email;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('accepts a message whose attachments fail to save once the email is stored', async () => {
+        mock.method(Attachment, 'createMany', async () => {
+            throw new Error('value too long for type character varying(255)');
+        });
+
+        const info = await transport.sendMail({
+            from: 'sender@example.org',
+            to: 'inbox@tempmailx.com',
+            subject: 'Report',
+            text: 'See attached',
+            attachments: [{ filename: `${'x'.repeat(300)}.txt`, content: 'data' }]
+        });
+
+        assert.match(info.response, /^250/);
+        assert.equal(stored.length, 1);
+        assert.ok(storedBlobs.has('e1/raw.eml'));
+    });
+
+    it('accepts a message once any recipient stored it, even if another recipient failed', async () => {
+        Email.create.mock.mockImplementation(async ({ from, to, subject }) => {
+            if (to === 'broken@tempmailx.com') {
+                throw new Error('database unavailable');
+            }
+
+            const email = { id: `e${stored.length + 1}`, user_id: 'u1', from_email: from, to_email: to, subject, is_quarantined: false };
+            stored.push(email);
+            return email;
+        });
+
+        const info = await transport.sendMail({
+            from: 'sender@example.org',
+            to: ['inbox@tempmailx.com', 'broken@tempmailx.com'],
+            subject: 'Hi',
+            text: 'Hello'
+        });
+
+        assert.match(info.response, /^250/);
+        assert.deepEqual(stored.map(email => email.to_email), ['inbox@tempmailx.com']);
+    });
+
+    it('rejects recipients whose address has expired but not been removed yet', async () => {
+        User.findTempEmail.mock.mockImplementation(async (address) => ({
+            id: 't1',
+            user_id: 'u1',
+            email_address: address,
+            expires_at: new Date(Date.now() - 1000).toISOString()
+        }));
+
+        await assert.rejects(
+            transport.sendMail({ from: 'sender@example.org', to: 'old@tempmailx.com', subject: 'Hi', text: 'Hello' }),
+            (error) => error.responseCode === 550
+        );
+        assert.equal(stored.length, 0);
+    });
+
+    it('asks the sender to retry when nothing could be stored', async () => {
+        Email.create.mock.mockImplementation(async () => {
+            throw new Error('database unavailable');
+        });
+
+        await assert.rejects(
+            transport.sendMail({ from: 'sender@example.org', to: 'inbox@tempmailx.com', subject: 'Hi', text: 'Hello' }),
+            (error) => error.responseCode === 451
+        );
+    });
+});
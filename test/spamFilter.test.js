@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import SpamReport from '../models/SpamReport.js';
+import { scoreEmail } from '../utils/spamFilter.js';
+import { readAuthenticationResults } from '../utils/headerParser.js';
+
+const headers = (...extra) => [
+    { name: 'Message-ID', value: '<1@example.com>' },
+    { name: 'Date', value: 'Mon, 19 Oct 2026 10:00:00 +0000' },
+    ...extra
+];
+
+const FAILED_AUTH = {
+    name: 'Authentication-Results',
+    value: 'mx.tempmailx.com; spf=fail smtp.mailfrom=example.com; dkim=fail; dmarc=fail'
+};
+
+const PASSED_AUTH = {
+    name: 'Authentication-Results',
+    value: 'attacker.example; spf=pass; dkim=pass; dmarc=pass'
+};
+
+const message = (overrides = {}) => ({
+    from: 'news@example.com',
+    to: 'me@tempmailx.com',
+    subject: 'Weekly digest',
+    body: 'Hello',
+    html: null,
+    headers: headers(),
+    ...overrides
+});
+
+describe('spam filter', () => {
+    beforeEach(() => {
+        quietConsole();
+        config.spam.quarantineThreshold = 5;
+        config.spam.blockedDomains = [];
+        config.spam.trustedAuthservIds = ['mx.tempmailx.com'];
+        mock.method(SpamReport, 'countForSender', async () => 0);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('passes ordinary mail with a zero score', async () => {
+        assert.deepEqual(await scoreEmail(message(), { userId: 'u1' }), { score: 0, reasons: [], quarantine: false });
+    });
+
+    it('only scores Authentication-Results from trusted authserv-ids', async () => {
+        const forgedPass = await scoreEmail(message({ headers: headers(PASSED_AUTH, FAILED_AUTH) }));
+        assert.equal(forgedPass.score, 7);
+        assert.equal(forgedPass.quarantine, true);
+
+        config.spam.trustedAuthservIds = [];
+        const untrusted = await scoreEmail(message({ headers: headers(FAILED_AUTH) }));
+        assert.equal(untrusted.score, 0);
+    });
+
+    it('reads the topmost verdict from matching authserv-ids', () => {
+        const older = { name: 'Authentication-Results', value: 'MX.tempmailx.com 1; spf=pass' };
+
+        assert.deepEqual(
+            readAuthenticationResults([FAILED_AUTH, older], ['mx.tempmailx.com']),
+            { spf: 'fail', dkim: 'fail', dmarc: 'fail' }
+        );
+        assert.deepEqual(readAuthenticationResults([PASSED_AUTH], ['mx.tempmailx.com']), { spf: null, dkim: null, dmarc: null });
+    });
+
+    it('adds up content, link, blocklist and reported sender checks', async () => {
+        config.spam.blockedDomains = ['bad.example'];
+        SpamReport.countForSender.mock.mockImplementation(async () => 1);
+
+        const result = await scoreEmail(message({
+            from: 'Winner <prize@mail.bad.example>',
+            subject: 'CLAIM YOUR PRIZE NOW',
+            body: 'You have won! Claim your prize at https://bit.ly/x',
+            headers: [{ name: 'Subject', value: 'x' }]
+        }), { userId: 'u1' });
+
+        assert.deepEqual(result.reasons.map(({ check, score }) => [check, score]), [
+            ['headers', 1],
+            ['headers', 0.5],
+            ['links', 1],
+            ['blockedDomains', 10],
+            ['content', 1],
+            ['content', 2],
+            ['reportedSender', 4]
+        ]);
+        assert.equal(result.score, 19.5);
+        assert.equal(result.quarantine, true);
+    });
+
+    it('skips a check that throws instead of failing delivery', async () => {
+        SpamReport.countForSender.mock.mockImplementation(async () => {
+            throw new Error('database is down');
+        });
+
+        const result = await scoreEmail(message(), { userId: 'u1' });
+
+        assert.equal(result.score, 0);
+        assert.equal(console.error.mock.callCount(), 1);
+    });
+});
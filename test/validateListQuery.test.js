@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse } from './helpers.js';
+import { validateListQuery } from '../middleware/validation.js';
+
+const LABEL_ID = '3f1c2a9e-8b7d-4c6e-9f0a-1b2c3d4e5f60';
+
+const run = (query) => {
+    const req = { query };
+    const res = mockResponse();
+    let called = false;
+    validateListQuery(req, res, () => { called = true; });
+    return { req, res, called };
+};
+
+describe('validateListQuery', () => {
+    it('accepts a label id and passes it through trimmed', () => {
+        const { req, called } = run({ label: ` ${LABEL_ID} ` });
+
+        assert.equal(called, true);
+        assert.equal(req.listOptions.label, LABEL_ID);
+    });
+
+    it('rejects a label that is not a uuid before it reaches a filter', () => {
+        for (const label of ['', 'inbox', `${LABEL_ID},id.neq.0`, `${LABEL_ID})`]) {
+            const { res, called } = run({ label });
+
+            assert.equal(called, false);
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.body.errors, ['Invalid label id']);
+        }
+    });
+});
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mockResponse, quietConsole } from './helpers.js';
+import User from '../models/User.js';
+import { MAIL_EVENTS, emitMailEvent } from '../utils/mailEvents.js';
+import { validateWaitQuery } from '../middleware/validation.js';
+import { waitForEmail } from '../controllers/addressController.js';
+
+const ADDRESS = 'me@tempmailx.com';
+
+/**
+ * Run the wait query through validation and into the controller
+ */
+const startWait = (query) => {
+    const req = { user: { id: 'u1' }, params: { address: ADDRESS }, query };
+    const res = mockResponse();
+    res.on = () => res;
+
+    let done = null;
+    validateWaitQuery(req, res, () => {
+        done = waitForEmail(req, res);
+    });
+
+    return { res, done };
+};
+
+describe('waiting for an email', () => {
+    beforeEach(() => {
+        quietConsole();
+        mock.method(User, 'findTempEmail', async () => ({ user_id: 'u1', email_address: ADDRESS, expires_at: null }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('refuses subject patterns RE2 cannot run', () => {
+        for (const subject of ['(?=code)', '(a)\\1', '(', 'x'.repeat(201)]) {
+            const { res, done } = startWait({ subject });
+
+            assert.equal(done, null);
+            assert.equal(res.statusCode, 400, subject);
+        }
+    });
+
+    it('answers with the first delivery whose subject matches, case-insensitively', async () => {
+        const { res, done } = startWait({ subject: '^your (code|pin)', timeout: '5' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, 'u1', { id: 'e0', to_email: 'other@tempmailx.com', subject: 'Your code' });
+        emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, 'u1', { id: 'e1', to_email: ADDRESS, subject: 'Welcome' });
+        emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, 'u1', { id: 'e2', to_email: ADDRESS, subject: 'YOUR CODE is 1234' });
+        await done;
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.data.email.id, 'e2');
+        assert.equal(res.body.data.timedOut, false);
+    });
+
+    it('does not stall on a subject built to backtrack', async () => {
+        const { res, done } = startWait({ subject: '^(a+)+$', timeout: '5' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const started = Date.now();
+        emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, 'u1', { id: 'e3', to_email: ADDRESS, subject: `${'a'.repeat(50000)}!` });
+        assert.ok(Date.now() - started < 2000);
+
+        emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, 'u1', { id: 'e4', to_email: ADDRESS, subject: 'aaaa' });
+        await done;
+
+        assert.equal(res.body.data.email.id, 'e4');
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { once } from 'events';
+import { quietConsole } from './helpers.js';
+import config from '../config/env.js';
+import Webhook from '../models/Webhook.js';
+import {
+    checkWebhookUrl,
+    signPayload,
+    getRetryDelayMs,
+    deliverWebhook,
+    startWebhookDispatcher,
+    stopWebhookDispatcher
+} from '../utils/webhookService.js';
+
+describe('webhook url check', () => {
+    beforeEach(() => {
+        config.webhooks.allowPrivateUrls = false;
+    });
+
+    it('refuses IP literals in private, reserved and IPv4-embedding ranges', async () => {
+        for (const url of [
+            'http://127.0.0.1/',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/',
+            'http://[::ffff:127.0.0.1]/',
+            'http://[::7f00:1]/',
+            'http://[64:ff9b::a9fe:a9fe]/',
+            'http://[2002:7f00:1::]/',
+            'http://[2002:a9fe:a9fe::1]/',
+            'http://[2001:0:4136:e378:8000:63bf:80ff:fffe]/',
+            'http://[fd00::1]/'
+        ]) {
+            assert.equal(await checkWebhookUrl(url), 'Webhook url must point to a public host', url);
+        }
+    });
+
+    it('accepts public IP literals', async () => {
+        for (const url of ['https://93.184.216.34/hook', 'https://[2606:4700:4700::1111]/hook']) {
+            assert.equal(await checkWebhookUrl(url), null, url);
+        }
+    });
+});
+
+describe('webhook delivery', () => {
+    let server;
+    let url;
+    let received;
+    let statuses;
+    let updates;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+                res.statusCode = statuses.shift() ?? 200;
+                res.end('ignored');
+            });
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    beforeEach(() => {
+        quietConsole();
+        received = [];
+        statuses = [];
+        updates = [];
+        Object.assign(config.webhooks, { allowPrivateUrls: true, maxAttempts: 3, retryBaseSeconds: 0, timeoutMs: 2000 });
+
+        mock.method(Webhook, 'createDelivery', async ({ webhookId, event, payload }) => ({
+            id: 'd1', webhook_id: webhookId, event, payload, attempts: 0, created_at: '2026-01-01T00:00:00.000Z'
+        }));
+        mock.method(Webhook, 'updateDelivery', async (id, changes) => {
+            updates.push(changes);
+            return { id, ...changes };
+        });
+    });
+
+    afterEach(() => {
+        stopWebhookDispatcher();
+        mock.restoreAll();
+    });
+
+    const webhook = (overrides = {}) => ({
+        id: 'w1', user_id: 'u1', url, secret: 's3cret', is_active: true, ...overrides
+    });
+
+    const waitFor = async (condition) => {
+        for (let i = 0; i < 200 && !condition(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        assert.ok(condition(), 'condition was not met in time');
+    };
+
+    it('signs the timestamp and raw body with the webhook secret', async () => {
+        const delivery = await deliverWebhook(webhook(), 'email.received', { email: { id: 'e1' } });
+
+        assert.equal(delivery.status, 'success');
+        assert.equal(received.length, 1);
+
+        const { headers, body } = received[0];
+        const expected = crypto.createHmac('sha256', 's3cret')
+            .update(`${headers['x-tempmailx-timestamp']}.${body}`)
+            .digest('hex');
+
+        assert.equal(headers['x-tempmailx-signature'], `sha256=${expected}`);
+        assert.equal(signPayload('s3cret', Number(headers['x-tempmailx-timestamp']), body), expected);
+        assert.equal(headers['x-tempmailx-delivery'], 'd1');
+        assert.deepEqual(JSON.parse(body), {
+            id: 'd1', event: 'email.received', createdAt: '2026-01-01T00:00:00.000Z', data: { email: { id: 'e1' } }
+        });
+    });
+
+    it('backs off exponentially from the configured base', () => {
+        config.webhooks.retryBaseSeconds = 10;
+        assert.deepEqual([1, 2, 3, 4].map(getRetryDelayMs), [10000, 20000, 40000, 80000]);
+    });
+
+    it('retries failures with the current webhook until one succeeds', async () => {
+        statuses = [500, 503];
+        mock.method(Webhook, 'findById', async () => webhook({ secret: 'rotated' }));
+
+        const first = await deliverWebhook(webhook(), 'email.received', {});
+        assert.equal(first.status, 'pending');
+        assert.equal(first.error, 'HTTP 500');
+
+        await waitFor(() => updates.length === 3);
+        assert.deepEqual(updates.map(update => [update.attempts, update.status]), [[1, 'pending'], [2, 'pending'], [3, 'success']]);
+
+        const last = received[2];
+        assert.equal(last.headers['x-tempmailx-signature'],
+            `sha256=${signPayload('rotated', Number(last.headers['x-tempmailx-timestamp']), last.body)}`);
+    });
+
+    it('gives up after the last attempt', async () => {
+        statuses = [500, 500, 500];
+        mock.method(Webhook, 'findById', async () => webhook());
+
+        await deliverWebhook(webhook(), 'email.received', {});
+
+        await waitFor(() => updates.length === 3);
+        assert.equal(updates[2].status, 'failed');
+        assert.equal(updates[2].next_attempt_at, null);
+        assert.equal(received.length, 3);
+    });
+
+    it('makes a single attempt when retries are off', async () => {
+        statuses = [500];
+
+        const delivery = await deliverWebhook(webhook(), 'webhook.test', {}, { retry: false });
+
+        assert.equal(delivery.status, 'failed');
+        assert.equal(Webhook.createDelivery.mock.callCount(), 1);
+    });
+
+    it('stops retrying once the webhook is disabled', async () => {
+        statuses = [500];
+        mock.method(Webhook, 'findById', async () => webhook({ is_active: false }));
+
+        await deliverWebhook(webhook(), 'email.received', {});
+
+        await waitFor(() => updates.length === 2);
+        assert.equal(updates[1].error, 'Webhook was disabled before the next attempt');
+        assert.equal(received.length, 1);
+    });
+
+    it('does not connect to private hosts unless allowed', async () => {
+        config.webhooks.allowPrivateUrls = false;
+
+        const delivery = await deliverWebhook(webhook(), 'webhook.test', {}, { retry: false });
+
+        assert.equal(delivery.status, 'failed');
+        assert.match(delivery.error, /private or reserved address/);
+        assert.equal(received.length, 0);
+    });
+
+    it('resumes pending deliveries on startup and fails those without a payload', async () => {
+        mock.method(Webhook, 'findById', async () => webhook());
+        mock.method(Webhook, 'findPendingDeliveries', async () => [
+            { id: 'd2', webhook_id: 'w1', event: 'email.received', payload: {}, attempts: 2, next_attempt_at: null },
+            { id: 'd3', webhook_id: 'w1', event: 'email.received', payload: null, attempts: 1 }
+        ]);
+
+        startWebhookDispatcher();
+
+        await waitFor(() => updates.length === 2);
+        assert.deepEqual(updates.map(update => [update.status, update.attempts]), [['failed', undefined], ['success', 3]]);
+        assert.equal(received.length, 1);
+    });
+});
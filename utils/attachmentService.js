@@ -0,0 +1,97 @@
+import { v4 as uuidv4 } from 'uuid';
+import Attachment from '../models/Attachment.js';
+import { getBlobStore } from './blobStore.js';
+
+/**
+ * Attachment Service
+ * Stores attachment content in the blob store and metadata in the database.
+ * Blobs are keyed "<emailId>/<attachmentId>" (and "<emailId>/raw.eml" for the
+ * raw source) so an email's content can be removed by prefix once its row is deleted.
+ */
+
+const RAW_MESSAGE_NAME = 'raw.eml';
+
+/**
+ * Store attachments for an email
+ * @param {Object} email - Stored email row (id, user_id)
+ * @param {Array<Object>} files - { filename, contentType, content (Buffer), contentId }
+ * @returns {Promise<Array>} Created attachment rows
+ */
+export const saveAttachments = async (email, files = []) => {
+    if (files.length === 0) {
+        return [];
+    }
+
+    const store = getBlobStore();
+
+    const attachments = await Promise.all(files.map(async (file) => {
+        const id = uuidv4();
+        const storageKey = `${email.id}/${id}`;
+
+        await store.put(storageKey, file.content);
+
+        return {
+            id,
+            emailId: email.id,
+            userId: email.user_id,
+            filename: file.filename || 'attachment',
+            contentType: file.contentType || 'application/octet-stream',
+            size: file.content.length,
+            contentId: file.contentId,
+            storageKey
+        };
+    }));
+
+    return await Attachment.createMany(attachments);
+};
+
+/**
+ * Open the content of a stored attachment
+ * @param {Object} attachment - Attachment row
+ * @returns {Promise<Readable>} Content stream
+ */
+export const openAttachment = async (attachment) => {
+    return await getBlobStore().get(attachment.storage_key);
+};
+
+/**
+ * Store the raw RFC 822 source of an email
+ * @param {string} emailId - Stored email ID
+ * @param {Buffer} raw - Message source
+ */
+export const saveRawMessage = async (emailId, raw) => {
+    await getBlobStore().put(`${emailId}/${RAW_MESSAGE_NAME}`, raw);
+};
+
+/**
+ * Open the raw RFC 822 source of an email
+ * @param {string} emailId - Stored email ID
+ * @returns {Promise<Readable>} Content stream
+ */
+export const openRawMessage = async (emailId) => {
+    return await getBlobStore().get(`${emailId}/${RAW_MESSAGE_NAME}`);
+};
+
+/**
+ * Remove stored content for deleted emails
+ * @param {Array<string>} emailIds - IDs of deleted emails
+ */
+export const deleteEmailBlobs = async (emailIds = []) => {
+    const store = getBlobStore();
+
+    for (const emailId of emailIds) {
+        try {
+            await store.removePrefix(emailId);
+        } catch (error) {
+            console.error(`[Attachments] Failed to remove content of email ${emailId}:`, error.message);
+        }
+    }
+};
+
+export default {
+    saveAttachments,
+    openAttachment,
+    saveRawMessage,
+    openRawMessage,
+    deleteEmailBlobs
+};
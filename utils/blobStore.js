@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/env.js';
+
+/**
+ * Blob Store
+ * Pluggable storage for binary content such as attachments.
+ * A driver is a factory returning an object with:
+ *   put(key, content)   - store a Buffer under key
+ *   get(key)            - Readable stream of the content (throws if missing)
+ *   removePrefix(prefix) - delete every blob whose key starts with "prefix/"
+ */
+
+const drivers = new Map();
+let store = null;
+
+/**
+ * Local disk driver - stores blobs as files under a root directory
+ * @param {Object} options - { rootDir }
+ */
+const createLocalDiskStore = ({ rootDir }) => {
+    const root = path.resolve(rootDir);
+
+    // Keys are internal IDs, but never let one escape the root directory
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid blob key: ${key}`);
+        }
+
+        return filePath;
+    };
+
+    return {
+        async put(key, content) {
+            const filePath = resolveKey(key);
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, content);
+        },
+
+        async get(key) {
+            const filePath = resolveKey(key);
+
+            await fs.promises.access(filePath, fs.constants.R_OK);
+
+            return fs.createReadStream(filePath);
+        },
+
+        async removePrefix(prefix) {
+            await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+        }
+    };
+};
+
+drivers.set('local', () => createLocalDiskStore({ rootDir: config.attachments.storageDir }));
+
+/**
+ * Register a storage driver (e.g. S3 or Supabase Storage)
+ * @param {string} name - Value of ATTACHMENT_STORAGE_DRIVER that selects it
+ * @param {Function} factory - Returns an object implementing put/get/removePrefix
+ */
+export const registerBlobStoreDriver = (name, factory) => {
+    drivers.set(name, factory);
+};
+
+/**
+ * Get the configured blob store
+ * @returns {Object} Store implementing put/get/removePrefix
+ */
+export const getBlobStore = () => {
+    if (!store) {
+        const factory = drivers.get(config.attachments.storageDriver);
+
+        if (!factory) {
+            throw new Error(`Unknown blob storage driver: ${config.attachments.storageDriver}`);
+        }
+
+        store = factory();
+    }
+
+    return store;
+};
+
+export default {
+    registerBlobStoreDriver,
+    getBlobStore
+};
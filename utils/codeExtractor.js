@@ -0,0 +1,129 @@
+/**
+ * Verification Code Extractor
+ * Finds one-time codes and verification / magic-login links in received mail,
+ * so automation can read them without parsing the message itself.
+ */
+
+// Words that usually sit next to a one-time code
+const CODE_KEYWORDS = /\b(?:verification|verify|confirmation|one[- ]time|otp|passcode|pin|code)\b/gi;
+
+// 4-8 characters with at least one digit, optionally split once by a dash or space ("123-456", "ABC 123")
+const CODE_CANDIDATE = /\b(?=[A-Z0-9]*\d)[A-Z0-9]{3,8}(?:[- ][A-Z0-9]{3,4})?\b/g;
+
+// How far (in characters) a candidate may be from a keyword
+const KEYWORD_WINDOW = 80;
+
+const LINK_KEYWORDS = /verif|confirm|activat|magic|log-?in|sign-?in|auth|token|validat|reset|one-?time|otp/i;
+const LINK_EXCLUDES = /unsubscribe|preferences|privacy|terms|help|support|facebook|twitter|linkedin|instagram/i;
+
+// At most this many links are kept per email
+const MAX_LINKS = 5;
+
+/**
+ * Strip tags from HTML for code scanning
+ */
+const htmlToText = (html) => {
+    return (html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/\s+/g, ' ');
+};
+
+/**
+ * Reject candidates that are almost certainly not codes (years, times, prices, all letters)
+ */
+const isPlausibleCode = (candidate, text, index) => {
+    const compact = candidate.replace(/[- ]/g, '');
+
+    if (compact.length < 4 || compact.length > 8) return false;
+    if (/^(19|20)\d{2}$/.test(compact)) return false;
+    if (/[$€£:.,/]$/.test(text.slice(Math.max(0, index - 1), index))) return false;
+    if (/^[:.,/%]\d/.test(text.slice(index + candidate.length, index + candidate.length + 2))) return false;
+
+    return true;
+};
+
+/**
+ * Find the most likely one-time code in a piece of text
+ * Candidates closest to a code keyword win; digits-only codes are slightly preferred.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export const extractCode = (text) => {
+    if (!text) return null;
+
+    const keywordPositions = [...text.matchAll(CODE_KEYWORDS)].map(match => match.index);
+    if (keywordPositions.length === 0) return null;
+
+    let best = null;
+
+    for (const match of text.matchAll(CODE_CANDIDATE)) {
+        const candidate = match[0];
+        if (!isPlausibleCode(candidate, text, match.index)) continue;
+
+        // Codes usually follow their keyword ("Your code: 123456"), so look back less far
+        const distance = Math.min(...keywordPositions.map(position => (
+            match.index >= position ? match.index - position : (position - match.index) * 2
+        )));
+        if (distance > KEYWORD_WINDOW) continue;
+
+        const score = distance + (/^\d+$/.test(candidate.replace(/[- ]/g, '')) ? 0 : 10);
+
+        if (!best || score < best.score) {
+            best = { code: candidate.replace(/[- ]/g, ''), score };
+        }
+    }
+
+    return best ? best.code : null;
+};
+
+/**
+ * Find verification, confirmation and magic-login links
+ * @param {string} text - Plain text body
+ * @param {string} html - HTML body
+ * @returns {Array<string>} Unique URLs, in order of appearance
+ */
+export const extractVerificationLinks = (text, html) => {
+    const links = [];
+
+    // Anchors: match on the URL or on the link text ("Confirm my account")
+    for (const [, url, label] of (html || '').matchAll(/<a\b[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)) {
+        links.push({ url, label: htmlToText(label) });
+    }
+
+    for (const [url] of (text || '').matchAll(/https?:\/\/[^\s<>"')\]]+/gi)) {
+        links.push({ url, label: '' });
+    }
+
+    const matches = links
+        .map(({ url, label }) => ({ url: url.replace(/&amp;/g, '&').trim(), label }))
+        .filter(({ url, label }) => /^https?:\/\//i.test(url) &&
+            !LINK_EXCLUDES.test(url) &&
+            (LINK_KEYWORDS.test(url) || LINK_KEYWORDS.test(label)))
+        .map(({ url }) => url);
+
+    return [...new Set(matches)].slice(0, MAX_LINKS);
+};
+
+/**
+ * Extract verification data from an email
+ * @param {Object} message - subject, body (text), html
+ * @returns {Object} - { code, links }
+ */
+export const extractVerification = ({ subject, body, html }) => {
+    const code = extractCode(subject || '') ||
+        extractCode(body || '') ||
+        extractCode(htmlToText(html));
+
+    return {
+        code,
+        links: extractVerificationLinks(body, html)
+    };
+};
+
+export default {
+    extractCode,
+    extractVerificationLinks,
+    extractVerification
+};
@@ -1,25 +1,195 @@
+import { randomInt } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import config from '../config/env.js';
+
+/**
+ * Supported local-part generation styles
+ * - classic: temp_<uuid segment>_<base36 timestamp>
+ * - words: adjective-noun-number (e.g. brave-otter-42)
+ * - pronounceable: consonant/vowel syllables (e.g. kabomite)
+ * - short: random lowercase letters and digits of a configurable length
+ */
+export const GENERATION_STYLES = ['classic', 'words', 'pronounceable', 'short'];
+
+export const SHORT_CODE_MIN_LENGTH = 4;
+export const SHORT_CODE_MAX_LENGTH = 32;
+
+const ADJECTIVES = [
+    'amber', 'bold', 'brave', 'bright', 'calm', 'clever', 'cosmic', 'crisp',
+    'eager', 'fancy', 'fast', 'gentle', 'golden', 'happy', 'hidden', 'jolly',
+    'kind', 'lively', 'lucky', 'mellow', 'misty', 'noble', 'quiet', 'rapid',
+    'rusty', 'shiny', 'silent', 'silver', 'sunny', 'swift', 'tidy', 'witty'
+];
+
+const NOUNS = [
+    'badger', 'breeze', 'canyon', 'cedar', 'comet', 'falcon', 'fern', 'fox',
+    'harbor', 'heron', 'island', 'lantern', 'maple', 'meadow', 'moon', 'otter',
+    'panda', 'pebble', 'pine', 'planet', 'river', 'robin', 'rocket', 'sparrow',
+    'summit', 'thunder', 'tiger', 'valley', 'walrus', 'willow', 'wolf', 'zebra'
+];
+
+const CONSONANTS = 'bcdfghjklmnprstvz';
+const VOWELS = 'aeiou';
+const CODE_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Pick a random element of an array or character of a string
+ */
+const pick = (items) => items[randomInt(items.length)];
+
+/**
+ * Build a local part in the requested style
+ * @param {string} style - One of GENERATION_STYLES
+ * @param {number} length - Code length for the short style
+ * @returns {string} Local part (before the @)
+ */
+const generateLocalPart = (style, length) => {
+    switch (style) {
+        case 'words':
+            return `${pick(ADJECTIVES)}-${pick(NOUNS)}-${randomInt(10, 100)}`;
+
+        case 'pronounceable':
+            return Array.from({ length: 4 }, () => pick(CONSONANTS) + pick(VOWELS)).join('');
+
+        case 'short':
+            return Array.from({ length }, () => pick(CODE_CHARACTERS)).join('');
+
+        case 'classic':
+        default: {
+            const randomString = uuidv4().split('-')[0]; // Use first segment of UUID
+            const timestamp = Date.now().toString(36); // Base36 timestamp for uniqueness
+
+            return `temp_${randomString}_${timestamp}`;
+        }
+    }
+};
+
+/**
+ * Local parts that can never be claimed as temp addresses (RFC 2142 role
+ * accounts and other names that could be used to impersonate the service)
+ */
+export const RESERVED_LOCAL_PARTS = [
+    'postmaster',
+    'abuse',
+    'admin',
+    'administrator',
+    'hostmaster',
+    'webmaster',
+    'root',
+    'security',
+    'support',
+    'info',
+    'noc',
+    'mailer-daemon',
+    'no-reply',
+    'noreply',
+    'www',
+    'ssl-admin',
+    'billing',
+    'sales',
+    'tempmailx'
+];
+
+/**
+ * Get the list of receiving domains
+ * @returns {Array<string>} Configured domains (first one is the default)
+ */
+export const getAvailableDomains = () => {
+    return config.email.domains;
+};
+
+/**
+ * Check if a domain is one of the configured receiving domains
+ * @param {string} domain - Domain to check
+ * @returns {boolean} True if temp addresses can be created on it
+ */
+export const isAllowedDomain = (domain) => {
+    return typeof domain === 'string' && getAvailableDomains().includes(domain.toLowerCase().trim());
+};
+
+/**
+ * Validate a user-chosen local part
+ * @param {string} localPart - Part before the @
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateLocalPart = (localPart) => {
+    if (typeof localPart !== 'string' || !localPart.trim()) {
+        return 'Local part must be a non-empty string';
+    }
+
+    const value = localPart.toLowerCase().trim();
+
+    if (value.length < 3 || value.length > 64) {
+        return 'Local part must be between 3 and 64 characters long';
+    }
+
+    if (!/^[a-z0-9](?:[a-z0-9._-]*[a-z0-9])?$/.test(value)) {
+        return 'Local part may only contain letters, numbers, dots, hyphens and underscores, and must start and end with a letter or number';
+    }
+
+    if (value.includes('..')) {
+        return 'Local part cannot contain consecutive dots';
+    }
+
+    if (RESERVED_LOCAL_PARTS.includes(value)) {
+        return `"${value}" is reserved and cannot be used`;
+    }
+
+    return null;
+};
 
 /**
  * Generate a random temporary email address
- * @param {string} domain - Email domain (default: tempmailx.com)
+ * @param {string} domain - Email domain (default: first configured domain)
+ * @param {Object} options - Generation options
+ * @param {string} options.style - One of GENERATION_STYLES (default: EMAIL_GENERATION_STYLE)
+ * @param {number} options.length - Code length for the short style (default: 8)
  * @returns {string} Generated email address
  */
-export const generateTempEmail = (domain = 'tempmailx.com') => {
-    const randomString = uuidv4().split('-')[0]; // Use first segment of UUID
-    const timestamp = Date.now().toString(36); // Base36 timestamp for uniqueness
+export const generateTempEmail = (domain = getAvailableDomains()[0], { style = config.email.generationStyle, length = 8 } = {}) => {
+    return `${generateLocalPart(style, length)}@${domain}`;
+};
+
+/**
+ * Generate a temporary email address that is not taken yet
+ * @param {string} domain - Email domain
+ * @param {Object} options - Generation options (see generateTempEmail)
+ * @param {Function} isTaken - Async predicate telling whether an address already exists
+ * @param {number} maxAttempts - Attempts before giving up (default: 5)
+ * @returns {Promise<string>} Unused email address
+ */
+export const generateUniqueTempEmail = async (domain, options, isTaken, maxAttempts = 5) => {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const tempEmail = generateTempEmail(domain, options);
+
+        if (!(await isTaken(tempEmail))) {
+            return tempEmail;
+        }
+    }
 
-    return `temp_${randomString}_${timestamp}@${domain}`;
+    throw new Error(`Could not generate an unused address after ${maxAttempts} attempts`);
 };
 
 /**
  * Generate multiple temporary email addresses
  * @param {number} count - Number of emails to generate
  * @param {string} domain - Email domain
- * @returns {Array<string>} Array of generated email addresses
+ * @param {Object} options - Generation options (see generateTempEmail)
+ * @returns {Array<string>} Array of distinct generated email addresses
  */
-export const generateMultipleTempEmails = (count = 1, domain = 'tempmailx.com') => {
-    return Array.from({ length: count }, () => generateTempEmail(domain));
+export const generateMultipleTempEmails = (count = 1, domain = getAvailableDomains()[0], options = {}) => {
+    const tempEmails = new Set();
+    const maxAttempts = count * 5;
+
+    for (let attempt = 0; tempEmails.size < count && attempt < maxAttempts; attempt++) {
+        tempEmails.add(generateTempEmail(domain, options));
+    }
+
+    if (tempEmails.size < count) {
+        throw new Error(`Could not generate ${count} distinct addresses`);
+    }
+
+    return [...tempEmails];
 };
 
 /**
@@ -33,7 +203,15 @@ export const isValidEmail = (email) => {
 };
 
 export default {
+    GENERATION_STYLES,
+    SHORT_CODE_MIN_LENGTH,
+    SHORT_CODE_MAX_LENGTH,
+    RESERVED_LOCAL_PARTS,
+    getAvailableDomains,
+    isAllowedDomain,
+    validateLocalPart,
     generateTempEmail,
+    generateUniqueTempEmail,
     generateMultipleTempEmails,
     isValidEmail
 };
@@ -1,5 +1,7 @@
 import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
 import dotenv from 'dotenv';
+import { escapeHtml } from './htmlSanitizer.js';
 
 dotenv.config();
 
@@ -547,6 +549,294 @@ This is an automated email from TempMailX
     }
 };
 
+/**
+ * Send the OTP that verifies a forwarding destination
+ * @param {string} destination - Real mailbox mail will be forwarded to
+ * @param {string} otp - Generated OTP
+ * @param {string} address - Temporary address being forwarded
+ * @param {number} expiryMinutes - OTP validity in minutes (default: 10)
+ * @returns {Promise<Object>} - Result of email send operation
+ */
+export const sendForwardingOTP = async (destination, otp, address, expiryMinutes = 10) => {
+    try {
+        const transport = initializeTransporter();
+
+        if (!transport) {
+            throw new Error('Email service not configured');
+        }
+
+        const mailOptions = {
+            from: `"TempMailX" <${process.env.EMAIL_USER}>`,
+            to: destination,
+            subject: 'Confirm Email Forwarding - TempMailX',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body {
+                            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                            line-height: 1.6;
+                            color: #333;
+                            max-width: 600px;
+                            margin: 0 auto;
+                            padding: 20px;
+                        }
+                        .container {
+                            background: linear-gradient(135deg, #10b981 0%, #059669 100%);
+                            padding: 30px;
+                            border-radius: 10px;
+                            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                        }
+                        .content {
+                            background: white;
+                            padding: 40px;
+                            border-radius: 8px;
+                            text-align: center;
+                        }
+                        h1 {
+                            color: #10b981;
+                            margin-top: 0;
+                            font-size: 28px;
+                        }
+                        .otp-box {
+                            background: #f0fdf4;
+                            border: 3px dashed #10b981;
+                            padding: 30px;
+                            margin: 30px 0;
+                            border-radius: 8px;
+                        }
+                        .otp-code {
+                            font-size: 48px;
+                            font-weight: bold;
+                            color: #059669;
+                            letter-spacing: 8px;
+                            font-family: 'Courier New', monospace;
+                        }
+                        .address {
+                            font-family: 'Courier New', monospace;
+                            font-weight: bold;
+                            color: #059669;
+                        }
+                        .footer {
+                            margin-top: 30px;
+                            padding-top: 20px;
+                            border-top: 1px solid #e5e7eb;
+                            text-align: center;
+                            color: #6b7280;
+                            font-size: 12px;
+                        }
+                        .expiry {
+                            color: #ef4444;
+                            font-weight: bold;
+                            font-size: 14px;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="content">
+                            <h1>Confirm Email Forwarding</h1>
+                            <p>
+                                A TempMailX user asked to forward mail received at
+                                <span class="address">${address}</span> to this mailbox.
+                            </p>
+
+                            <div class="otp-box">
+                                <p style="margin: 0 0 10px 0; color: #6b7280; font-size: 14px;">Your Confirmation Code:</p>
+                                <div class="otp-code">${otp}</div>
+                                <p class="expiry" style="margin: 15px 0 0 0;">⏰ Expires in ${expiryMinutes} minutes</p>
+                            </div>
+
+                            <p style="margin-top: 30px; color: #6b7280;">
+                                If you didn't ask for this, ignore this email and nothing will be forwarded to you.
+                            </p>
+
+                            <div class="footer">
+                                <p>This is an automated email from TempMailX</p>
+                                <p>© ${new Date().getFullYear()} TempMailX. All rights reserved.</p>
+                            </div>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+            text: `
+Confirm Email Forwarding
+
+A TempMailX user asked to forward mail received at ${address} to this mailbox.
+
+Your Confirmation Code: ${otp}
+
+⏰ This code will expire in ${expiryMinutes} minutes.
+
+If you didn't ask for this, ignore this email and nothing will be forwarded to you.
+
+---
+This is an automated email from TempMailX
+© ${new Date().getFullYear()} TempMailX. All rights reserved.
+            `
+        };
+
+        const info = await transport.sendMail(mailOptions);
+
+        console.log('[Email Service] Forwarding verification OTP sent:', info.messageId);
+
+        return {
+            success: true,
+            messageId: info.messageId,
+            message: 'Verification email sent successfully'
+        };
+
+    } catch (error) {
+        console.error('[Email Service] Error sending forwarding OTP email:', error);
+        throw error;
+    }
+};
+
+/**
+ * Forward a received email to a verified real mailbox
+ * The copy is sent from the service account (relays reject other senders) with
+ * Reply-To set to the original sender and the original headers quoted in the body.
+ * @param {Object} message - Message to forward
+ * @param {string} message.address - Temporary address the email was received at
+ * @param {string} message.destination - Verified real mailbox
+ * @param {Object} message.email - Stored email row
+ * @param {string} [message.html] - HTML body to forward (already sanitized)
+ * @param {Array<Object>} message.attachments - { filename, contentType, content (Buffer) }
+ * @returns {Promise<Object>} - messageId and SMTP response of the accepted message
+ */
+export const forwardEmail = async ({ address, destination, email, html, attachments = [] }) => {
+    try {
+        const transport = initializeTransporter();
+
+        if (!transport) {
+            throw new Error('Email service not configured');
+        }
+
+        const quoted = [
+            '---------- Forwarded message ----------',
+            `From: ${email.from_email}`,
+            `Date: ${new Date(email.created_at).toUTCString()}`,
+            `Subject: ${email.subject || ''}`,
+            `To: ${address}`
+        ];
+
+        const mailOptions = {
+            from: {
+                name: `${email.from_email} via TempMailX`,
+                address: process.env.EMAIL_USER
+            },
+            to: destination,
+            replyTo: email.from_email,
+            subject: email.subject || '(no subject)',
+            text: `${quoted.join('\n')}\n\n${email.body || ''}`,
+            html: html
+                ? `<p style="color: #6b7280;">${quoted.map(escapeHtml).join('<br>')}</p>${html}`
+                : undefined,
+            attachments,
+            headers: {
+                'X-TempMailX-Forwarded-For': address
+            }
+        };
+
+        const info = await transport.sendMail(mailOptions);
+
+        console.log(`[Email Service] Email ${email.id} forwarded from ${address}:`, info.messageId);
+
+        return {
+            success: true,
+            messageId: info.messageId,
+            response: info.response
+        };
+
+    } catch (error) {
+        console.error(`[Email Service] Error forwarding email ${email.id} from ${address}:`, error.message);
+        throw error;
+    }
+};
+
+/**
+ * Build the RFC 822 source of a user-composed email
+ * @param {Object} message - Message to compose
+ * @param {string} message.from - Sending temporary address
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.body - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {Array<Object>} message.attachments - { filename, contentType, content (Buffer) }
+ * @returns {Promise<Buffer>} - Message source, including generated Message-ID and Date
+ */
+export const composeRawMessage = async ({ from, to, subject, body, html, attachments = [] }) => {
+    const composer = new MailComposer({
+        from,
+        to,
+        subject,
+        text: body,
+        html: html || undefined,
+        attachments
+    });
+
+    return await composer.compile().build();
+};
+
+/**
+ * Read the Message-ID header from a message source
+ * @param {Buffer} raw - Message source
+ * @returns {string|null}
+ */
+const readMessageId = (raw) => {
+    const end = raw.indexOf('\r\n\r\n');
+    const head = raw.toString('utf8', 0, end === -1 ? raw.length : end).replace(/\r?\n[ \t]+/g, ' ');
+
+    return /^message-id:\s*(.+)$/im.exec(head)?.[1].trim() || null;
+};
+
+/**
+ * Deliver a user-composed email from a temporary address
+ * The source is built with composeRawMessage first so the stored copy matches what was sent.
+ * @param {Object} message - Message to deliver
+ * @param {string} message.from - Sending temporary address
+ * @param {string} message.to - Recipient address
+ * @param {Buffer} message.raw - Message source
+ * @returns {Promise<Object>} - messageId (from the source) and SMTP response of the accepted message
+ */
+export const sendTempEmail = async ({ from, to, raw }) => {
+    try {
+        const transport = initializeTransporter();
+
+        if (!transport) {
+            throw new Error('Email service not configured');
+        }
+
+        const mailOptions = {
+            raw,
+            // Relays only accept their own account as envelope sender
+            envelope: {
+                from: process.env.EMAIL_USER,
+                to
+            }
+        };
+
+        const info = await transport.sendMail(mailOptions);
+
+        // For raw messages nodemailer reports an ID it generated itself, not the one that was sent
+        const messageId = readMessageId(raw) || info.messageId;
+
+        console.log(`[Email Service] Email from ${from} delivered:`, messageId);
+
+        return {
+            success: true,
+            messageId,
+            response: info.response
+        };
+
+    } catch (error) {
+        console.error(`[Email Service] Error delivering email from ${from}:`, error.message);
+        throw error;
+    }
+};
+
 /**
  * Verify email service connection
  * @returns {Promise<boolean>}
@@ -572,5 +862,9 @@ export default {
     sendNewsletterNotification,
     sendPasswordResetOTP,
     sendSignupOTP,
+    sendForwardingOTP,
+    forwardEmail,
+    composeRawMessage,
+    sendTempEmail,
     verifyEmailService
 };
@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { MAIL_EVENTS, onMailEvent } from './mailEvents.js';
+
+/**
+ * Event Stream
+ * Pushes mailbox events to connected clients over Server-Sent Events. Recent
+ * events are buffered per user so a reconnecting client can replay what it
+ * missed from its Last-Event-ID.
+ */
+
+// Event ids are "<bootId>-<sequence>"; another bootId means the buffer was lost in a restart
+const bootId = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+
+const buffers = new Map(); // userId -> { events: [{ id, seq, type, data, at }], trimmedSeq }
+const clients = new Map(); // userId -> Set of responses
+
+// Highest sequence dropped together with a whole (stale) user buffer
+let forgottenSeq = 0;
+
+let unsubscribe = null;
+let heartbeatTimer = null;
+
+/**
+ * Trim the email row sent with email.received to list fields
+ */
+const toEventData = (type, data) => {
+    if (type !== MAIL_EVENTS.EMAIL_RECEIVED) {
+        return data;
+    }
+
+    return {
+        id: data.id,
+        from_email: data.from_email,
+        to_email: data.to_email,
+        subject: data.subject,
+        created_at: data.created_at,
+        is_read: data.is_read,
+        verification_code: data.verification_code
+    };
+};
+
+/**
+ * Write one SSE message
+ */
+const writeEvent = (res, event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+/**
+ * Drop events beyond the replay window, remembering the last one dropped
+ */
+const trimBuffer = (buffer) => {
+    const oldest = Date.now() - config.realtime.replayMaxAgeMinutes * 60 * 1000;
+    const { events } = buffer;
+
+    while (events.length > 0 && (events.length > config.realtime.replayBufferSize || events[0].at < oldest)) {
+        buffer.trimmedSeq = events.shift().seq;
+    }
+};
+
+/**
+ * Buffer a mail event and fan it out to the user's connections
+ */
+const handleMailEvent = ({ type, userId, data }) => {
+    sequence++;
+
+    const event = {
+        id: `${bootId}-${sequence}`,
+        seq: sequence,
+        type,
+        data: toEventData(type, data),
+        at: Date.now()
+    };
+
+    const buffer = buffers.get(userId) || { events: [], trimmedSeq: 0 };
+    buffer.events.push(event);
+    trimBuffer(buffer);
+    buffers.set(userId, buffer);
+
+    for (const res of clients.get(userId) || []) {
+        writeEvent(res, event);
+    }
+};
+
+/**
+ * Keep idle connections open through proxies and forget stale buffers
+ */
+const heartbeat = () => {
+    for (const connections of clients.values()) {
+        for (const res of connections) {
+            res.write(': heartbeat\n\n');
+        }
+    }
+
+    for (const [userId, buffer] of buffers) {
+        trimBuffer(buffer);
+        if (buffer.events.length === 0) {
+            forgottenSeq = Math.max(forgottenSeq, buffer.trimmedSeq);
+            buffers.delete(userId);
+        }
+    }
+};
+
+/**
+ * Events a client missed since lastEventId
+ * @returns {Array|null} Events to replay, or null if they can't be recovered
+ */
+const getMissedEvents = (userId, lastEventId) => {
+    const [eventBootId, lastSeqText] = String(lastEventId).split('-');
+    const lastSeq = Number(lastSeqText);
+    const buffer = buffers.get(userId);
+
+    if (eventBootId !== bootId || !Number.isInteger(lastSeq) || lastSeq > sequence) {
+        return null;
+    }
+
+    // Something after lastEventId has already been dropped from the buffer
+    if (lastSeq < (buffer ? buffer.trimmedSeq : forgottenSeq)) {
+        return null;
+    }
+
+    return buffer ? buffer.events.filter(event => event.seq > lastSeq) : [];
+};
+
+/**
+ * Attach an HTTP response as an event stream for a user
+ * @param {string} userId - Authenticated user
+ * @param {Object} req - Express request (Last-Event-ID header or ?lastEventId=)
+ * @param {Object} res - Express response, kept open until the client disconnects
+ */
+export const openEventStream = (userId, req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Reconnect delay hint for EventSource
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+
+    if (lastEventId) {
+        const missed = getMissedEvents(userId, lastEventId);
+
+        if (missed === null) {
+            // Tell the client to refetch its mailbox instead of trusting the replay
+            res.write(`event: resync\ndata: ${JSON.stringify({ reason: 'Events since the last event id are no longer available' })}\n\n`);
+        } else {
+            missed.forEach(event => writeEvent(res, event));
+        }
+    }
+
+    const connections = clients.get(userId) || new Set();
+    connections.add(res);
+    clients.set(userId, connections);
+
+    res.on('close', () => {
+        connections.delete(res);
+        if (connections.size === 0) {
+            clients.delete(userId);
+        }
+    });
+};
+
+/**
+ * Start listening for mail events and sending heartbeats
+ */
+export const startEventStream = () => {
+    if (unsubscribe) {
+        return;
+    }
+
+    unsubscribe = onMailEvent(handleMailEvent);
+    heartbeatTimer = setInterval(heartbeat, config.realtime.heartbeatSeconds * 1000);
+    heartbeatTimer.unref();
+};
+
+/**
+ * Stop the event stream and close all connections
+ */
+export const stopEventStream = () => {
+    if (!unsubscribe) {
+        return;
+    }
+
+    unsubscribe();
+    unsubscribe = null;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    for (const connections of clients.values()) {
+        connections.forEach(res => res.end());
+    }
+    clients.clear();
+};
+
+/**
+ * Number of open event stream connections
+ * @returns {number}
+ */
+export const getEventStreamConnectionCount = () => {
+    let count = 0;
+    for (const connections of clients.values()) {
+        count += connections.size;
+    }
+    return count;
+};
+
+export default {
+    openEventStream,
+    startEventStream,
+    stopEventStream,
+    getEventStreamConnectionCount
+};
@@ -0,0 +1,125 @@
+import config from '../config/env.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import { deleteEmailBlobs } from './attachmentService.js';
+import { MAIL_EVENTS, emitMailEvent } from './mailEvents.js';
+
+/**
+ * Expiry Service
+ * Periodically purges expired emails and retires expired temporary addresses
+ */
+
+let cleanupTimer = null;
+let lastRun = null;
+
+/**
+ * Calculate an expiry timestamp from now
+ * @param {number} hours - Lifetime in hours (default: EMAIL_EXPIRY_HOURS)
+ * @returns {string} ISO timestamp
+ */
+export const getExpiryDate = (hours = config.email.expiryHours) => {
+    return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Run a single cleanup pass
+ * @returns {Promise<Object>} Result of the run (counts, duration, error)
+ */
+export const runExpiryCleanup = async () => {
+    const startedAt = new Date();
+    const result = {
+        startedAt: startedAt.toISOString(),
+        deletedEmails: 0,
+        retiredAddresses: 0,
+        success: true
+    };
+
+    try {
+        // Deleted email ids per owner, for blob cleanup and realtime events
+        const deletedByUser = new Map();
+        const recordDeleted = (userId, ids) => {
+            deletedByUser.set(userId, [...(deletedByUser.get(userId) || []), ...ids]);
+        };
+
+        for (const email of await Email.deleteExpired()) {
+            recordDeleted(email.user_id, [email.id]);
+        }
+
+        // Retire expired addresses and drop whatever mail they still hold
+        const retired = await User.deleteExpiredTempEmails();
+        for (const tempEmail of retired) {
+            recordDeleted(tempEmail.user_id, await Email.deleteByAddress(tempEmail.user_id, tempEmail.email_address));
+            emitMailEvent(MAIL_EVENTS.ADDRESS_EXPIRED, tempEmail.user_id, {
+                address: tempEmail.email_address,
+                expiredAt: tempEmail.expires_at
+            });
+        }
+
+        const deletedIds = [...deletedByUser.values()].flat();
+        await deleteEmailBlobs(deletedIds);
+
+        for (const [userId, ids] of deletedByUser) {
+            if (ids.length > 0) {
+                emitMailEvent(MAIL_EVENTS.EMAIL_DELETED, userId, { ids });
+            }
+        }
+
+        result.deletedEmails = deletedIds.length;
+        result.retiredAddresses = retired.length;
+
+        if (result.deletedEmails > 0 || result.retiredAddresses > 0) {
+            console.log(`[Expiry] Deleted ${result.deletedEmails} expired emails, retired ${result.retiredAddresses} temp addresses`);
+        }
+    } catch (error) {
+        console.error('[Expiry] Cleanup failed:', error.message);
+        result.success = false;
+        result.error = error.message;
+    }
+
+    result.durationMs = Date.now() - startedAt.getTime();
+    lastRun = result;
+
+    return result;
+};
+
+/**
+ * Start the periodic cleanup job (runs once immediately)
+ */
+export const startExpiryJob = () => {
+    if (cleanupTimer) {
+        return;
+    }
+
+    const intervalMs = config.email.cleanupIntervalMinutes * 60 * 1000;
+
+    runExpiryCleanup();
+    cleanupTimer = setInterval(runExpiryCleanup, intervalMs);
+
+    console.log(`[Expiry] Cleanup scheduled every ${config.email.cleanupIntervalMinutes} minutes`);
+};
+
+/**
+ * Stop the periodic cleanup job
+ */
+export const stopExpiryJob = () => {
+    if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = null;
+    }
+};
+
+/**
+ * Get the result of the most recent cleanup run
+ * @returns {Object|null}
+ */
+export const getLastExpiryRun = () => {
+    return lastRun;
+};
+
+export default {
+    getExpiryDate,
+    runExpiryCleanup,
+    startExpiryJob,
+    stopExpiryJob,
+    getLastExpiryRun
+};
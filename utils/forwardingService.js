@@ -0,0 +1,193 @@
+import ForwardingRule from '../models/ForwardingRule.js';
+import Attachment from '../models/Attachment.js';
+import { openAttachment } from './attachmentService.js';
+import { forwardEmail } from './emailService.js';
+import { sanitizeEmailHtml } from './htmlSanitizer.js';
+import { MAIL_EVENTS, onMailEvent } from './mailEvents.js';
+
+/**
+ * Forwarding Service
+ * Relays received mail to the verified real mailboxes of matching forwarding
+ * rules and records each forwarded copy. Failed forwards are logged, not retried.
+ */
+
+let unsubscribe = null;
+
+/**
+ * Collect a stream into a Buffer
+ */
+const readStream = async (stream) => {
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Check a received email against a rule's sender and subject filters
+ * Filters are case-insensitive "contains" matches; an empty filter matches everything.
+ * @param {Object} rule - Forwarding rule row
+ * @param {Object} email - Stored email row
+ * @returns {boolean}
+ */
+export const matchesRule = (rule, email) => {
+    const contains = (value, filter) => !filter || (value || '').toLowerCase().includes(filter.toLowerCase());
+
+    return contains(email.from_email, rule.from_filter) && contains(email.subject, rule.subject_filter);
+};
+
+/**
+ * Load an email's attachments for sending
+ */
+const loadAttachments = async (emailId) => {
+    return await Promise.all((await Attachment.findByEmail(emailId)).map(async (attachment) => ({
+        filename: attachment.filename,
+        contentType: attachment.content_type,
+        cid: attachment.content_id || undefined,
+        content: await readStream(await openAttachment(attachment))
+    })));
+};
+
+/**
+ * Send one email to a rule's destination and record the outcome
+ * @param {Object} rule - Verified forwarding rule
+ * @param {Object} email - Stored email row
+ * @param {Array<Object>} attachments - Loaded attachments for the email
+ * @param {string} [mailRuleId] - Mail rule whose forward action triggered this
+ * @returns {Promise<Object>} The forwarded_emails row
+ */
+const forwardToRule = async (rule, email, attachments, mailRuleId) => {
+    const record = {
+        ruleId: rule.id,
+        mailRuleId,
+        userId: rule.user_id,
+        emailId: email.id,
+        destination: rule.destination
+    };
+
+    try {
+        const result = await forwardEmail({
+            address: rule.address,
+            destination: rule.destination,
+            email,
+            html: email.html_body ? sanitizeEmailHtml(email.html_body).html : undefined,
+            attachments
+        });
+
+        return await ForwardingRule.recordForward({
+            ...record,
+            status: 'sent',
+            messageId: result.messageId,
+            smtpResponse: result.response
+        });
+    } catch (error) {
+        return await ForwardingRule.recordForward({
+            ...record,
+            status: 'failed',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Forward a received email to every matching rule of its address
+ * @param {string} userId - Owner of the address
+ * @param {Object} email - Stored email row
+ * @returns {Promise<Array<Object>>} forwarded_emails rows
+ */
+export const forwardReceivedEmail = async (userId, email) => {
+    const rules = (await ForwardingRule.findActiveForAddress(userId, email.to_email))
+        .filter(rule => matchesRule(rule, email));
+
+    if (rules.length === 0) {
+        return [];
+    }
+
+    // Loaded once and shared by all destinations
+    const attachments = await loadAttachments(email.id);
+
+    return await Promise.all(rules.map(rule => forwardToRule(rule, email, attachments)));
+};
+
+/**
+ * Forward an email for mail rules' forward actions
+ * Only destinations already verified through a forwarding rule are used; the
+ * copy is logged under that forwarding rule (preferring one for the same address).
+ * Destinations the address's own forwarding rules already cover are skipped.
+ * @param {string} userId - Owner of the email
+ * @param {Object} email - Stored email row
+ * @param {Array<Object>} forwards - [{ destination, ruleId }] from the rules engine
+ * @returns {Promise<Array<Object>>} forwarded_emails rows
+ */
+export const forwardForMailRules = async (userId, email, forwards) => {
+    const covered = (await ForwardingRule.findActiveForAddress(userId, email.to_email))
+        .filter(rule => matchesRule(rule, email))
+        .map(rule => rule.destination);
+
+    const targets = [];
+
+    for (const { destination, ruleId } of forwards.filter(forward => !covered.includes(forward.destination))) {
+        const verified = await ForwardingRule.findVerifiedByDestination(userId, destination);
+
+        if (verified.length === 0) {
+            console.warn(`[Forwarding] Mail rule ${ruleId} forwards to ${destination}, which has no active verified forwarding rule, skipped`);
+            continue;
+        }
+
+        const rule = verified.find(candidate => candidate.address === email.to_email) || verified[0];
+        targets.push({ rule: { ...rule, address: email.to_email }, mailRuleId: ruleId });
+    }
+
+    if (targets.length === 0) {
+        return [];
+    }
+
+    const attachments = await loadAttachments(email.id);
+
+    return await Promise.all(targets.map(({ rule, mailRuleId }) => forwardToRule(rule, email, attachments, mailRuleId)));
+};
+
+/**
+ * Forward received mail as it arrives
+ */
+const handleMailEvent = async ({ type, userId, data }) => {
+    if (type !== MAIL_EVENTS.EMAIL_RECEIVED) {
+        return;
+    }
+
+    try {
+        await forwardReceivedEmail(userId, data);
+    } catch (error) {
+        console.error(`[Forwarding] Failed to forward email ${data.id}:`, error.message);
+    }
+};
+
+/**
+ * Start forwarding received mail
+ */
+export const startForwardingDispatcher = () => {
+    if (!unsubscribe) {
+        unsubscribe = onMailEvent(handleMailEvent);
+    }
+};
+
+/**
+ * Stop forwarding received mail
+ */
+export const stopForwardingDispatcher = () => {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+};
+
+export default {
+    matchesRule,
+    forwardReceivedEmail,
+    forwardForMailRules,
+    startForwardingDispatcher,
+    stopForwardingDispatcher
+};
@@ -0,0 +1,162 @@
+import { simpleParser } from 'mailparser';
+
+/**
+ * Header Parser Utility
+ * Keeps message headers in their original order and pulls out the fields
+ * developers look at when debugging delivery: Message-ID, the Received chain
+ * and SPF/DKIM/DMARC results.
+ */
+
+/**
+ * Convert mailparser header lines into an ordered list of { name, value }
+ * Duplicates (Received, DKIM-Signature, ...) are kept in message order.
+ * @param {Array<Object>} headerLines - parsed.headerLines ({ key, line })
+ * @returns {Array<Object>}
+ */
+export const toHeaderList = (headerLines = []) => {
+    return headerLines.map(({ line }) => {
+        const separator = line.indexOf(':');
+
+        return {
+            name: line.slice(0, separator).trim(),
+            // Unfold continuation lines
+            value: line.slice(separator + 1).replace(/\r?\n[ \t]+/g, ' ').trim()
+        };
+    });
+};
+
+/**
+ * Read the header list of a raw RFC 822 message
+ * @param {Buffer} raw - Message source
+ * @returns {Promise<Array<Object>>}
+ */
+export const readHeaders = async (raw) => {
+    const parsed = await simpleParser(raw);
+    return toHeaderList(parsed.headerLines);
+};
+
+/**
+ * All values of a header, in message order
+ */
+const getAll = (headers, name) => {
+    return headers
+        .filter(header => header.name.toLowerCase() === name)
+        .map(header => header.value);
+};
+
+/**
+ * Authserv-id of an Authentication-Results value (the host before the first ";", without a version)
+ */
+const authservIdOf = (value) => value.split(';')[0].trim().split(/\s+/)[0].toLowerCase();
+
+/**
+ * Parse one Received header into its hops
+ * e.g. "from mx.example.com (1.2.3.4) by mail.local with ESMTPS id abc for <a@b.c>; Tue, 1 Oct ..."
+ */
+const parseReceived = (value) => {
+    const separator = value.lastIndexOf(';');
+    const clauses = separator === -1 ? value : value.slice(0, separator);
+    const hop = {
+        from: null,
+        by: null,
+        with: null,
+        id: null,
+        for: null,
+        date: separator === -1 ? null : value.slice(separator + 1).trim(),
+        raw: value
+    };
+
+    for (const [, clause, token] of clauses.matchAll(/\b(from|by|with|id|for)\s+(\S+)/gi)) {
+        const key = clause.toLowerCase();
+        if (hop[key] === null) {
+            hop[key] = token.replace(/^<|>$/g, '');
+        }
+    }
+
+    return hop;
+};
+
+/**
+ * Extract spf/dkim/dmarc verdicts from Authentication-Results headers
+ * The topmost header wins - it was added by the server closest to us.
+ * @param {Array<Object>} headers - Stored header list ({ name, value })
+ * @param {Array<string>} [authservIds] - Only read headers from these authserv-ids
+ * @returns {Object} - { spf, dkim, dmarc }, null where there is no verdict
+ */
+export const readAuthenticationResults = (headers, authservIds) => {
+    const results = { spf: null, dkim: null, dmarc: null };
+    const values = getAll(headers, 'authentication-results')
+        .filter(value => !authservIds || authservIds.includes(authservIdOf(value)));
+
+    for (const value of values) {
+        for (const [, method, verdict] of value.matchAll(/\b(spf|dkim|dmarc)=([a-z]+)/gi)) {
+            const key = method.toLowerCase();
+            if (results[key] === null) {
+                results[key] = verdict.toLowerCase();
+            }
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Verdicts for the header view, also falling back to Received-SPF
+ */
+const parseAuthentication = (headers) => {
+    const results = readAuthenticationResults(headers);
+
+    const [receivedSpf] = getAll(headers, 'received-spf');
+    if (results.spf === null && receivedSpf) {
+        results.spf = receivedSpf.split(/\s/)[0].toLowerCase();
+    }
+
+    return results;
+};
+
+/**
+ * Read the signing domain and selector of each DKIM-Signature
+ */
+const parseDkimSignatures = (headers) => {
+    return getAll(headers, 'dkim-signature').map(value => {
+        const tags = Object.fromEntries(
+            value.split(';')
+                .map(tag => tag.split('=').map(part => part.trim()))
+                .filter(([name]) => name)
+        );
+
+        return {
+            domain: tags.d || null,
+            selector: tags.s || null
+        };
+    });
+};
+
+/**
+ * Build the header view shown on an email
+ * @param {Array<Object>} headers - Stored header list ({ name, value })
+ * @returns {Object|null} - messageId, date, returnPath, received (newest hop first), authentication, dkimSignatures
+ */
+export const summarizeHeaders = (headers) => {
+    if (!Array.isArray(headers) || headers.length === 0) {
+        return null;
+    }
+
+    const first = (name) => getAll(headers, name)[0] || null;
+
+    return {
+        messageId: first('message-id'),
+        date: first('date'),
+        returnPath: first('return-path'),
+        received: getAll(headers, 'received').map(parseReceived),
+        authentication: parseAuthentication(headers),
+        dkimSignatures: parseDkimSignatures(headers)
+    };
+};
+
+export default {
+    toHeaderList,
+    readHeaders,
+    readAuthenticationResults,
+    summarizeHeaders
+};
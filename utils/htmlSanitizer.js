@@ -0,0 +1,218 @@
+import sanitizeHtml from 'sanitize-html';
+
+/**
+ * HTML Sanitizer Utility
+ * Turns stored email HTML into markup that is safe to render in the frontend's
+ * sandboxed iframe. Sanitizing happens on read, so stored mail is never altered.
+ */
+
+// Images at or below this size (in px) are treated as tracking pixels
+const TRACKING_PIXEL_MAX_SIZE = 1;
+
+const REMOTE_URL_PATTERN = /^(https?:)?\/\//i;
+
+// Inline style values, whitelisted per property. None of them admits backslashes (CSS escapes),
+// url(), image-set() or @import, so styles can't load remote content or run script.
+const CSS_NUMBER = '-?(?:\\d+|\\d*\\.\\d+)(?:px|em|rem|pt|pc|ex|ch|vw|vh|cm|mm|in|%)?';
+const CSS_COLOR = '#[0-9a-f]{3,8}|(?:rgb|hsl)a?\\(\\s*[\\d.%\\s,/]+\\)|[a-z]+';
+const CSS_TOKEN = `(?:${CSS_NUMBER}|${CSS_COLOR}|[a-z-]+)`;
+
+const STYLE_VALUES = {
+    color: new RegExp(`^(?:${CSS_COLOR})$`, 'i'),
+    length: new RegExp(`^(?:${CSS_NUMBER}|auto)$`, 'i'),
+    lengths: new RegExp(`^(?:${CSS_NUMBER}|auto)(?:\\s+(?:${CSS_NUMBER}|auto)){0,3}$`, 'i'),
+    keyword: /^[a-z-]+$/i,
+    keywords: /^[a-z-]+(?:\s+[a-z-]+)*$/i,
+    tokens: new RegExp(`^${CSS_TOKEN}(?:\\s+${CSS_TOKEN})*$`, 'i'),
+    fontFamily: /^[\w\s,'"-]+$/,
+    number: /^\d*\.?\d+$/
+};
+
+const ALLOWED_STYLES = {
+    color: [STYLE_VALUES.color],
+    'background-color': [STYLE_VALUES.color],
+    background: [STYLE_VALUES.color],
+    'font-family': [STYLE_VALUES.fontFamily],
+    'font-size': [STYLE_VALUES.length, STYLE_VALUES.keyword],
+    'font-weight': [STYLE_VALUES.keyword, STYLE_VALUES.number],
+    'font-style': [STYLE_VALUES.keyword],
+    'line-height': [STYLE_VALUES.length, STYLE_VALUES.number, STYLE_VALUES.keyword],
+    'letter-spacing': [STYLE_VALUES.length, STYLE_VALUES.keyword],
+    'text-align': [STYLE_VALUES.keyword],
+    'text-decoration': [STYLE_VALUES.tokens],
+    'text-transform': [STYLE_VALUES.keyword],
+    'text-indent': [STYLE_VALUES.length],
+    'vertical-align': [STYLE_VALUES.length, STYLE_VALUES.keyword],
+    'white-space': [STYLE_VALUES.keyword],
+    'word-break': [STYLE_VALUES.keyword],
+    'word-wrap': [STYLE_VALUES.keyword],
+    'overflow-wrap': [STYLE_VALUES.keyword],
+    direction: [STYLE_VALUES.keyword],
+    display: [STYLE_VALUES.keyword],
+    visibility: [STYLE_VALUES.keyword],
+    float: [STYLE_VALUES.keyword],
+    clear: [STYLE_VALUES.keyword],
+    overflow: [STYLE_VALUES.keywords],
+    opacity: [STYLE_VALUES.number],
+    width: [STYLE_VALUES.length],
+    height: [STYLE_VALUES.length],
+    'min-width': [STYLE_VALUES.length],
+    'max-width': [STYLE_VALUES.length, STYLE_VALUES.keyword],
+    'min-height': [STYLE_VALUES.length],
+    'max-height': [STYLE_VALUES.length, STYLE_VALUES.keyword],
+    'table-layout': [STYLE_VALUES.keyword],
+    'border-collapse': [STYLE_VALUES.keyword],
+    'border-spacing': [STYLE_VALUES.lengths],
+    'border-radius': [STYLE_VALUES.lengths]
+};
+
+for (const box of ['margin', 'padding']) {
+    ALLOWED_STYLES[box] = [STYLE_VALUES.lengths];
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+        ALLOWED_STYLES[`${box}-${side}`] = [STYLE_VALUES.length];
+    }
+}
+
+for (const border of ['border', 'border-top', 'border-right', 'border-bottom', 'border-left']) {
+    ALLOWED_STYLES[border] = [STYLE_VALUES.tokens];
+    ALLOWED_STYLES[`${border}-color`] = [STYLE_VALUES.color];
+    ALLOWED_STYLES[`${border}-style`] = [STYLE_VALUES.keyword];
+    ALLOWED_STYLES[`${border}-width`] = [STYLE_VALUES.lengths, STYLE_VALUES.keyword];
+}
+
+/**
+ * Content-Security-Policy for sanitized email HTML
+ * @param {boolean} blockImages - Only allow inline (data:) images
+ * @returns {string}
+ */
+export const getEmailContentSecurityPolicy = (blockImages = false) => {
+    return [
+        "default-src 'none'",
+        `img-src ${blockImages ? 'data:' : 'data: https: http:'}`,
+        "style-src 'unsafe-inline'",
+        "form-action 'none'",
+        "base-uri 'none'"
+    ].join('; ');
+};
+
+/**
+ * HTML-escape plain text
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeHtml = (text) => {
+    return (text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Render a plain text body as HTML (for emails without an HTML part)
+ * @param {string} text
+ * @returns {string}
+ */
+export const textToHtml = (text) => {
+    return `<pre style="white-space: pre-wrap; font-family: inherit;">${escapeHtml(text)}</pre>`;
+};
+
+/**
+ * Parse a pixel dimension from an attribute or inline style value
+ */
+const parseDimension = (value) => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(px)?\s*$/i.exec(value || '');
+    return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Detect invisible remote images used to track opens
+ */
+const isTrackingPixel = ({ attribs }) => {
+    if (!REMOTE_URL_PATTERN.test(attribs.src || '')) {
+        return false;
+    }
+
+    const style = (attribs.style || '').toLowerCase();
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/.test(style)) {
+        return true;
+    }
+
+    const width = parseDimension(attribs.width) ?? parseDimension(/(?:^|;)\s*width\s*:([^;]+)/.exec(style)?.[1]);
+    const height = parseDimension(attribs.height) ?? parseDimension(/(?:^|;)\s*height\s*:([^;]+)/.exec(style)?.[1]);
+
+    return (width !== null && width <= TRACKING_PIXEL_MAX_SIZE) ||
+        (height !== null && height <= TRACKING_PIXEL_MAX_SIZE);
+};
+
+/**
+ * Sanitize email HTML for display
+ * Removes scripts, event handlers, forms and embedded content, tracking pixels and
+ * inline styles outside ALLOWED_STYLES; optionally drops all remote images.
+ * @param {string} html - Stored HTML body
+ * @param {Object} options
+ * @param {boolean} options.blockImages - Remove remote images
+ * @returns {Object} - { html, trackersRemoved, imagesBlocked }
+ */
+export const sanitizeEmailHtml = (html, { blockImages = false } = {}) => {
+    let trackersRemoved = 0;
+    let imagesBlocked = 0;
+
+    const clean = sanitizeHtml(html || '', {
+        allowedTags: [
+            ...sanitizeHtml.defaults.allowedTags,
+            'img', 'center', 'font', 'span', 'div'
+        ],
+        allowedAttributes: {
+            '*': ['style', 'align', 'valign', 'width', 'height', 'bgcolor', 'color', 'dir', 'title'],
+            a: ['href', 'name', 'target', 'rel'],
+            img: ['src', 'alt', 'width', 'height', 'border'],
+            font: ['face', 'size'],
+            table: ['border', 'cellpadding', 'cellspacing'],
+            td: ['colspan', 'rowspan'],
+            th: ['colspan', 'rowspan']
+        },
+        allowedSchemes: ['http', 'https', 'mailto'],
+        allowedSchemesByTag: {
+            img: ['http', 'https', 'data']
+        },
+        allowProtocolRelative: false,
+        allowedStyles: {
+            '*': ALLOWED_STYLES
+        },
+        transformTags: {
+            // Links open outside the iframe without leaking the opener
+            a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+        },
+        exclusiveFilter: (frame) => {
+            if (frame.tag !== 'img') {
+                return false;
+            }
+
+            if (isTrackingPixel(frame)) {
+                trackersRemoved++;
+                return true;
+            }
+
+            if (blockImages && REMOTE_URL_PATTERN.test(frame.attribs.src || '')) {
+                imagesBlocked++;
+                return true;
+            }
+
+            return false;
+        }
+    });
+
+    return {
+        html: clean,
+        trackersRemoved,
+        imagesBlocked
+    };
+};
+
+export default {
+    sanitizeEmailHtml,
+    getEmailContentSecurityPolicy,
+    escapeHtml,
+    textToHtml
+};
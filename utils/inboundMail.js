@@ -0,0 +1,172 @@
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+import Label from '../models/Label.js';
+import { saveAttachments, saveRawMessage } from './attachmentService.js';
+import { MAIL_EVENTS, emitMailEvent } from './mailEvents.js';
+import config from '../config/env.js';
+import { evaluateMailRules, ruleRejectionError, fromStoredEmail } from './ruleEngine.js';
+import { forwardForMailRules } from './forwardingService.js';
+import { scoreEmail } from './spamFilter.js';
+import { claimMessageQuota, releaseMessageQuota, messageSize } from './quotaService.js';
+
+/**
+ * Inbound Mail Utility
+ * Single entry point for storing mail received at temporary addresses,
+ * shared by the SMTP receiver and the simulate-receive endpoint
+ */
+
+/**
+ * Resolve the owner of a temporary email address
+ * @param {string} address - Recipient address
+ * @returns {Promise<Object|null>} temp_emails row, or null if the address is unknown or expired
+ */
+export const resolveRecipient = async (address) => {
+    const tempEmail = await User.findTempEmail(address);
+
+    // Expired addresses stop receiving mail before the cleanup job removes them
+    if (!tempEmail || (tempEmail.expires_at && new Date(tempEmail.expires_at) <= new Date())) {
+        return null;
+    }
+
+    return tempEmail;
+};
+
+/**
+ * Announce an email that reached the inbox and run its rule forwards
+ */
+const publishInboundEmail = (userId, email, forwards) => {
+    // Wake up anyone waiting on this mailbox
+    emitMailEvent(MAIL_EVENTS.EMAIL_RECEIVED, userId, email);
+
+    if (forwards.length > 0) {
+        forwardForMailRules(userId, email, forwards).catch((error) => {
+            console.error(`[Mail Rules] Failed to forward email ${email.id}:`, error.message);
+        });
+    }
+};
+
+/**
+ * Run a step that follows storing an email, logging a failure instead of throwing it
+ * The email row already exists, so failing the delivery would make the sender retry and store it twice.
+ */
+const afterStored = async (email, step, task) => {
+    try {
+        await task();
+    } catch (error) {
+        console.error(`[Inbound Mail] Failed to ${step} for email ${email.id}:`, error.message);
+    }
+};
+
+/**
+ * Store a received email, applying the owner's mail rules, quotas and spam scoring
+ * Quarantined mail is stored but not announced until it is released.
+ * @param {Object} message - Parsed message (from, to, subject, body, html, headers, raw, attachments)
+ * @param {string} userId - Owner of the recipient temp address
+ * @returns {Promise<Object|null>} Stored email row, or null if a rule deleted it
+ * @throws {Error} code RULE_REJECTED if a rule rejected it, QUOTA_EXCEEDED if it doesn't fit the mailbox
+ */
+export const deliverInboundEmail = async ({ from, to, subject, body, html, headers, raw, attachments = [] }, userId) => {
+    const recipient = to.toLowerCase().trim();
+
+    const outcome = await evaluateMailRules(userId, { from, to: recipient, subject, body, html });
+
+    if (outcome.reject) {
+        throw ruleRejectionError(outcome.decidedBy);
+    }
+
+    if (outcome.delete) {
+        console.log(`[Mail Rules] Rule ${outcome.decidedBy} discarded a message for ${recipient}`);
+        return null;
+    }
+
+    const tempEmail = await User.findTempEmail(recipient);
+
+    const spam = config.spam.enabled
+        ? await scoreEmail({ from, to: recipient, subject, body, html, headers }, { userId })
+        : { score: null, reasons: [], quarantine: false };
+
+    // Mail that rules reject or delete is never stored, so it needs no room
+    const size = messageSize({ raw, body, html });
+    await claimMessageQuota(userId, recipient, size);
+
+    let email;
+
+    try {
+        email = await Email.create({
+            from,
+            to: recipient,
+            subject,
+            body,
+            html,
+            headers,
+            rawSize: raw ? raw.length : null,
+            type: 'received',
+            userId,
+            isRead: outcome.markRead,
+            isStarred: outcome.star,
+            spamScore: spam.score,
+            spamReasons: spam.reasons,
+            isQuarantined: spam.quarantine,
+            expiresAt: tempEmail?.expires_at
+        });
+    } catch (error) {
+        // Nothing was stored, so the claimed room is given back
+        await releaseMessageQuota(userId, recipient, size);
+        throw error;
+    }
+
+    if (raw) {
+        await afterStored(email, 'save the raw source', () => saveRawMessage(email.id, raw));
+    }
+
+    await afterStored(email, 'save attachments', () => saveAttachments(email, attachments));
+
+    if (outcome.labelIds.length > 0) {
+        await afterStored(email, 'apply rule labels', async () => {
+            // Labels deleted since the rule was saved are skipped
+            const labels = await Label.findByIds(userId, outcome.labelIds);
+            await Label.addToEmail(userId, email.id, labels.map(label => label.id));
+        });
+    }
+
+    if (email.is_quarantined) {
+        console.log(`[Spam Filter] Quarantined message ${email.id} for ${recipient} (score ${spam.score})`);
+    } else {
+        publishInboundEmail(userId, email, outcome.forwards);
+    }
+
+    return email;
+};
+
+/**
+ * Move a quarantined email to the inbox
+ * Mail quarantined on arrival is announced as newly received, so waiters, webhooks
+ * and forwards see it now. Mail that reached the inbox before it was reported was
+ * announced then and is only moved back.
+ * @param {string} userId - Owner
+ * @param {Object} email - Quarantined email row
+ * @returns {Promise<Object>} Updated email row
+ */
+export const releaseQuarantinedEmail = async (userId, email) => {
+    if (email.announced_at) {
+        return await Email.update(email.id, { is_quarantined: false });
+    }
+
+    const released = await Email.update(email.id, {
+        is_quarantined: false,
+        announced_at: new Date().toISOString()
+    });
+
+    // Rules already applied their other actions when the mail was stored
+    const { forwards } = await evaluateMailRules(userId, fromStoredEmail(released));
+
+    publishInboundEmail(userId, released, forwards);
+
+    return released;
+};
+
+export default {
+    resolveRecipient,
+    deliverInboundEmail,
+    releaseQuarantinedEmail
+};
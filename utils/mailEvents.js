@@ -0,0 +1,79 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Mail Events
+ * In-process notifications about mailbox changes. Everything that stores or
+ * removes mail emits here, so waiting requests and push channels don't poll.
+ * Each event is { type, userId, data }.
+ */
+
+export const MAIL_EVENTS = {
+    EMAIL_RECEIVED: 'email.received', // data: stored email row
+    EMAIL_DELETED: 'email.deleted', // data: { ids }
+    ADDRESS_EXPIRED: 'address.expired' // data: { address, expiredAt }
+};
+
+const emitter = new EventEmitter();
+
+// One listener per open wait request / push connection
+emitter.setMaxListeners(0);
+
+/**
+ * Publish a mailbox event
+ * @param {string} type - One of MAIL_EVENTS
+ * @param {string} userId - Mailbox owner
+ * @param {Object} data - Event payload (e.g. the stored email row)
+ */
+export const emitMailEvent = (type, userId, data) => {
+    emitter.emit('event', { type, userId, data });
+};
+
+/**
+ * Subscribe to all mailbox events
+ * @param {Function} listener - Called with { type, userId, data }
+ * @returns {Function} Unsubscribe
+ */
+export const onMailEvent = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+};
+
+/**
+ * Wait for the next event of a type for a user that satisfies a predicate
+ * @param {string} userId - Mailbox owner
+ * @param {string} type - One of MAIL_EVENTS
+ * @param {Function} predicate - Called with the event data
+ * @param {number} timeoutMs - Resolve with null after this long
+ * @returns {Object} - { promise (resolves with the data or null), cancel() }
+ */
+export const waitForMailEvent = (userId, type, predicate, timeoutMs) => {
+    let finish;
+
+    const promise = new Promise((resolve) => {
+        const timer = setTimeout(() => finish(null), timeoutMs);
+
+        const unsubscribe = onMailEvent((event) => {
+            if (event.userId === userId && event.type === type && predicate(event.data)) {
+                finish(event.data);
+            }
+        });
+
+        finish = (data) => {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(data);
+        };
+    });
+
+    return {
+        promise,
+        cancel: () => finish(null)
+    };
+};
+
+export default {
+    MAIL_EVENTS,
+    emitMailEvent,
+    onMailEvent,
+    waitForMailEvent
+};
@@ -0,0 +1,220 @@
+import { ZipArchive } from 'archiver';
+import Email from '../models/Email.js';
+import Attachment from '../models/Attachment.js';
+import { MAX_PAGE_SIZE, decodeCursor } from './pagination.js';
+import { composeRawMessage } from './emailService.js';
+import { openAttachment, openRawMessage } from './attachmentService.js';
+
+/**
+ * Mailbox Export Utility
+ * Streams a user's mail as an mbox file or a ZIP of .eml files. Emails are read
+ * one page at a time, so only a single page and message are held in memory.
+ */
+
+export const EXPORT_FORMATS = ['mbox', 'zip'];
+
+/**
+ * Iterate over a user's emails page by page, oldest first
+ * @param {string} userId - Owner
+ * @param {Object} options - types ('received'/'sent'), address, since, until
+ */
+async function* iterateEmails(userId, { types, address, since, until }) {
+    for (const type of types) {
+        let cursor;
+
+        do {
+            const page = await Email.list(userId, type, {
+                limit: MAX_PAGE_SIZE,
+                ascending: true,
+                cursor,
+                address,
+                since,
+                until
+            });
+
+            yield* page.emails;
+            cursor = page.hasMore ? decodeCursor(page.nextCursor) : null;
+        } while (cursor);
+    }
+}
+
+/**
+ * Wait for an event while the output is still open
+ * A client that disconnects never drains the response, so 'close' and 'error' end the wait too.
+ * @param {EventEmitter} emitter - Source of the awaited event
+ * @param {string} event - Event name
+ * @param {Writable} output - Destination whose closing aborts the wait
+ * @returns {Promise<boolean>} false if the output closed first
+ */
+const waitWhileOpen = (emitter, event, output) => {
+    return new Promise((resolve) => {
+        const finish = (result) => () => {
+            emitter.off(event, onEvent);
+            output.off('close', onClose);
+            output.off('error', onClose);
+            resolve(result);
+        };
+        const onEvent = finish(true);
+        const onClose = finish(false);
+
+        if (output.destroyed) {
+            return resolve(false);
+        }
+
+        emitter.once(event, onEvent);
+        output.once('close', onClose);
+        output.once('error', onClose);
+    });
+};
+
+/**
+ * Error for an export whose client went away
+ */
+const abortedError = () => new Error('Export aborted: client disconnected');
+
+/**
+ * Collect a stream into a Buffer
+ */
+const readStream = async (stream) => {
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Get the RFC 822 source of a stored email
+ * Uses the kept raw source when there is one, otherwise rebuilds it from the row.
+ * @param {Object} email - Email row
+ * @returns {Promise<Buffer>}
+ */
+export const getMessageSource = async (email) => {
+    if (email.raw_size !== null && email.raw_size !== undefined) {
+        try {
+            return await readStream(await openRawMessage(email.id));
+        } catch (error) {
+            console.error(`[Export] Raw source of email ${email.id} unavailable, rebuilding:`, error.message);
+        }
+    }
+
+    const attachments = await Promise.all((await Attachment.findByEmail(email.id)).map(async (attachment) => ({
+        filename: attachment.filename,
+        contentType: attachment.content_type,
+        content: await readStream(await openAttachment(attachment))
+    })));
+
+    const raw = await composeRawMessage({
+        from: email.from_email,
+        to: email.to_email,
+        subject: email.subject,
+        body: email.body,
+        html: email.html_body,
+        attachments
+    });
+
+    // composeRawMessage stamps the current time; keep the original date instead
+    return Buffer.from(raw.toString('binary').replace(
+        /^Date: .*$/m,
+        `Date: ${new Date(email.created_at).toUTCString()}`
+    ), 'binary');
+};
+
+/**
+ * mbox "From " separator line, e.g. "From a@b.c Mon Oct 19 07:24:34 2026"
+ */
+const mboxSeparator = (email) => {
+    const [weekday, day, month, year, time] = new Date(email.created_at).toUTCString().replace(',', '').split(' ');
+    return `From ${email.from_email || 'MAILER-DAEMON'} ${weekday} ${month} ${String(Number(day)).padStart(2, ' ')} ${time} ${year}\n`;
+};
+
+/**
+ * Convert a message to an mbox entry (LF line endings, mboxrd "From " quoting)
+ */
+const toMboxEntry = (email, raw) => {
+    const body = raw.toString('binary')
+        .replace(/\r\n/g, '\n')
+        .replace(/^(>*From )/gm, '>$1');
+
+    return Buffer.from(`${mboxSeparator(email)}${body}${body.endsWith('\n') ? '' : '\n'}\n`, 'binary');
+};
+
+/**
+ * Write a user's mail to a stream as mbox
+ * @param {string} userId - Owner
+ * @param {Object} options - types, address, since, until
+ * @param {Writable} output - Destination (e.g. the HTTP response)
+ * @returns {Promise<number>} Number of exported emails
+ * @throws {Error} If the output closes before the export finishes
+ */
+export const writeMbox = async (userId, options, output) => {
+    let count = 0;
+
+    for await (const email of iterateEmails(userId, options)) {
+        if (output.destroyed) {
+            throw abortedError();
+        }
+
+        const entry = toMboxEntry(email, await getMessageSource(email));
+
+        if (!output.write(entry) && !await waitWhileOpen(output, 'drain', output)) {
+            throw abortedError();
+        }
+        count++;
+    }
+
+    output.end();
+    return count;
+};
+
+/**
+ * Write a user's mail to a stream as a ZIP of .eml files (inbox/ and outbox/ folders)
+ * @param {string} userId - Owner
+ * @param {Object} options - types, address, since, until
+ * @param {Writable} output - Destination (e.g. the HTTP response)
+ * @returns {Promise<number>} Number of exported emails
+ * @throws {Error} If the output closes before the export finishes
+ */
+export const writeZip = async (userId, options, output) => {
+    const archive = new ZipArchive({ zlib: { level: 6 } });
+    let count = 0;
+
+    archive.on('warning', (error) => {
+        console.error('[Export] Archive warning:', error.message);
+    });
+    archive.pipe(output);
+
+    for await (const email of iterateEmails(userId, options)) {
+        if (output.destroyed) {
+            archive.abort();
+            throw abortedError();
+        }
+
+        const folder = email.type === 'sent' ? 'outbox' : 'inbox';
+        const timestamp = new Date(email.created_at).toISOString().replace(/[:.]/g, '-');
+
+        archive.append(await getMessageSource(email), {
+            name: `${folder}/${timestamp}-${email.id}.eml`,
+            date: new Date(email.created_at)
+        });
+
+        // Let the archive consume each entry before reading the next message
+        if (!await waitWhileOpen(archive, 'entry', output)) {
+            archive.abort();
+            throw abortedError();
+        }
+        count++;
+    }
+
+    await archive.finalize();
+    return count;
+};
+
+export default {
+    EXPORT_FORMATS,
+    getMessageSource,
+    writeMbox,
+    writeZip
+};
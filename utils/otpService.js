@@ -1,11 +1,15 @@
 /**
  * OTP (One-Time Password) Utility
- * Generates and manages OTPs for password reset and signup verification
+ * Generates and manages OTPs for password reset, signup and forwarding destination verification
  */
 
 // In-memory storage for OTPs (in production, use Redis or database)
 const otpStore = new Map();
 const signupOtpStore = new Map(); // Separate storage for signup OTPs
+const forwardingOtpStore = new Map(); // Keyed by forwarding rule ID
+const forwardingSendLog = new Map(); // User ID -> times forwarding OTPs were sent in the last hour
+
+const HOUR_MS = 60 * 60 * 1000;
 
 /**
  * Generate a 6-digit OTP
@@ -174,6 +178,110 @@ export const verifySignupOTP = (email, otp) => {
     }
 };
 
+/**
+ * Store OTP for verifying a forwarding destination
+ * @param {string} ruleId - Forwarding rule ID
+ * @param {string} otp - Generated OTP
+ * @param {number} expiryMinutes - OTP validity in minutes (default: 10)
+ */
+export const storeForwardingOTP = (ruleId, otp, expiryMinutes = 10) => {
+    const expiryTime = Date.now() + (expiryMinutes * 60 * 1000);
+
+    forwardingOtpStore.set(ruleId, {
+        otp,
+        expiryTime,
+        attempts: 0
+    });
+
+    console.log(`[Forwarding OTP] Stored OTP for rule ${ruleId}, expires in ${expiryMinutes} minutes`);
+};
+
+/**
+ * Verify forwarding destination OTP (cleared once used)
+ * @param {string} ruleId - Forwarding rule ID
+ * @param {string} otp - OTP to verify
+ * @returns {Object} - Verification result
+ */
+export const verifyForwardingOTP = (ruleId, otp) => {
+    const stored = forwardingOtpStore.get(ruleId);
+
+    if (!stored) {
+        return {
+            success: false,
+            message: 'No OTP found. Please request a new one.'
+        };
+    }
+
+    // Check if OTP has expired
+    if (Date.now() > stored.expiryTime) {
+        forwardingOtpStore.delete(ruleId);
+        return {
+            success: false,
+            message: 'OTP has expired. Please request a new one.'
+        };
+    }
+
+    // Check attempts (max 5 attempts)
+    if (stored.attempts >= 5) {
+        forwardingOtpStore.delete(ruleId);
+        return {
+            success: false,
+            message: 'Too many failed attempts. Please request a new OTP.'
+        };
+    }
+
+    // Verify OTP
+    if (stored.otp === otp) {
+        forwardingOtpStore.delete(ruleId);
+
+        console.log(`[Forwarding OTP] Successfully verified OTP for rule ${ruleId}`);
+
+        return {
+            success: true,
+            message: 'OTP verified successfully'
+        };
+    } else {
+        // Increment failed attempts
+        stored.attempts += 1;
+        forwardingOtpStore.set(ruleId, stored);
+
+        const remainingAttempts = 5 - stored.attempts;
+
+        return {
+            success: false,
+            message: `Invalid OTP. ${remainingAttempts} attempts remaining.`
+        };
+    }
+};
+
+/**
+ * Discard a rule's forwarding OTP
+ * @param {string} ruleId - Forwarding rule ID
+ */
+export const clearForwardingOTP = (ruleId) => {
+    forwardingOtpStore.delete(ruleId);
+};
+
+/**
+ * Record a forwarding OTP send for a user, unless it would exceed the hourly limit
+ * @param {string} userId - User ID
+ * @param {number} maxPerHour - Sends allowed per rolling hour
+ * @returns {boolean} - False if the limit is reached (nothing is recorded)
+ */
+export const recordForwardingOTPSend = (userId, maxPerHour) => {
+    const now = Date.now();
+    const recent = (forwardingSendLog.get(userId) || []).filter(sentAt => now - sentAt < HOUR_MS);
+
+    if (recent.length >= maxPerHour) {
+        forwardingSendLog.set(userId, recent);
+        return false;
+    }
+
+    recent.push(now);
+    forwardingSendLog.set(userId, recent);
+    return true;
+};
+
 /**
  * Check if OTP is verified for password reset
  * @param {string} email - User's email
@@ -225,13 +333,28 @@ export const cleanupExpiredOTPs = () => {
         }
     }
 
+    // Clean forwarding OTPs
+    for (const [ruleId, data] of forwardingOtpStore.entries()) {
+        if (now > data.expiryTime) {
+            forwardingOtpStore.delete(ruleId);
+            cleaned++;
+        }
+    }
+
+    // Forget send times older than an hour
+    for (const [userId, sends] of forwardingSendLog.entries()) {
+        if (sends.every(sentAt => now - sentAt >= HOUR_MS)) {
+            forwardingSendLog.delete(userId);
+        }
+    }
+
     if (cleaned > 0) {
         console.log(`[OTP] Cleaned up ${cleaned} expired OTPs`);
     }
 };
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredOTPs, 5 * 60 * 1000);
+// Run cleanup every 5 minutes (without keeping the process alive on its own)
+setInterval(cleanupExpiredOTPs, 5 * 60 * 1000).unref();
 
 export default {
     generateOTP,
@@ -239,6 +362,10 @@ export default {
     storeSignupOTP,
     verifyOTP,
     verifySignupOTP,
+    storeForwardingOTP,
+    verifyForwardingOTP,
+    clearForwardingOTP,
+    recordForwardingOTPSend,
     isOTPVerified,
     clearOTP,
     clearSignupOTP,
@@ -0,0 +1,96 @@
+/**
+ * Pagination Utility
+ * Cursor helpers for keyset pagination over emails (created_at, id)
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Timestamps as PostgREST returns them, e.g. 2024-05-01T10:00:00.123456+00:00
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Check that a value is a UUID (row IDs are UUIDs; anything else would reach Postgres as a bad filter)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isUuid = (value) => typeof value === 'string' && UUID_PATTERN.test(value);
+
+/**
+ * Encode the position of an email row as an opaque cursor
+ * @param {Object} email - Email row (created_at, id)
+ * @returns {string} Base64url cursor
+ */
+export const encodeCursor = (email) => {
+    return Buffer.from(`${email.created_at}|${email.id}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object|null} { createdAt, id } or null if malformed
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+
+        // Both parts end up in a PostgREST filter, so only well-formed values are accepted
+        if (!TIMESTAMP_PATTERN.test(createdAt || '') || Number.isNaN(Date.parse(createdAt)) || !isUuid(id)) {
+            return null;
+        }
+
+        return { createdAt, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Split a page fetched with limit + 1 rows into the page and its continuation
+ * @param {Array} rows - Rows returned by the query
+ * @param {number} limit - Requested page size
+ * @returns {Object} { emails, hasMore, nextCursor }
+ */
+export const buildPage = (rows, limit) => {
+    const hasMore = rows.length > limit;
+    const emails = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        emails,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(emails[emails.length - 1]) : null
+    };
+};
+
+/**
+ * Encode an offset as an opaque cursor (for ranked results that have no stable key)
+ * @param {number} offset - Number of rows already returned
+ * @returns {string} Base64url cursor
+ */
+export const encodeOffsetCursor = (offset) => {
+    return Buffer.from(`offset:${offset}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeOffsetCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {number|null} Offset, or null if malformed
+ */
+export const decodeOffsetCursor = (cursor) => {
+    const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    return match ? parseInt(match[1], 10) : null;
+};
+
+export default {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    isUuid,
+    encodeCursor,
+    decodeCursor,
+    buildPage,
+    encodeOffsetCursor,
+    decodeOffsetCursor
+};
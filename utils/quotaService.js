@@ -0,0 +1,259 @@
+import config from '../config/env.js';
+import Email from '../models/Email.js';
+import User from '../models/User.js';
+
+/**
+ * Quota Service
+ * Enforces config.quotas: how many unexpired addresses a user holds and how many
+ * messages and bytes are stored per address and per user. Sent mail counts against
+ * its sender address, received mail against its recipient. Usage is kept in
+ * per-address counters: a message is claimed (checked and counted in one database
+ * call) before it is stored, and deleting mail gives the space back.
+ */
+
+export const QUOTA_EXCEEDED = 'QUOTA_EXCEEDED';
+
+const MB = 1024 * 1024;
+
+/**
+ * Build a quota error
+ * @param {string} message - Client-facing explanation
+ * @param {Object} quota - { type, scope, address?, used or size, limit }
+ * @param {boolean} [permanent] - True if the item can never fit, even in an empty mailbox
+ * @returns {Error} Error with code QUOTA_EXCEEDED
+ */
+const quotaError = (message, quota, permanent = false) => {
+    const error = new Error(message);
+    error.code = QUOTA_EXCEEDED;
+    error.quota = quota;
+    error.permanent = permanent;
+    return error;
+};
+
+/**
+ * Limits from config, with storage in bytes
+ */
+const getLimits = () => {
+    const { quotas } = config;
+
+    return {
+        addresses: quotas.maxAddressesPerUser,
+        messagesPerAddress: quotas.maxMessagesPerAddress,
+        bytesPerAddress: quotas.maxStorageMBPerAddress * MB,
+        messagesPerUser: quotas.maxMessagesPerUser,
+        bytesPerUser: quotas.maxStorageMBPerUser * MB
+    };
+};
+
+/**
+ * Human-readable byte count for error messages
+ */
+const formatBytes = (bytes) => {
+    return bytes >= MB ? `${Math.round(bytes / MB * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`;
+};
+
+/**
+ * Stored usage of a user, in total and per address
+ * @returns {Promise<Object>} { messages, bytes, byAddress: Map<address, { messages, bytes }> }
+ */
+const getStoredUsage = async (userId) => {
+    const byAddress = new Map();
+    let messages = 0;
+    let bytes = 0;
+
+    for (const row of await Email.getUsage(userId)) {
+        const entry = byAddress.get(row.address) || { messages: 0, bytes: 0 };
+        entry.messages += row.messageCount;
+        entry.bytes += row.totalBytes;
+        byAddress.set(row.address, entry);
+
+        messages += row.messageCount;
+        bytes += row.totalBytes;
+    }
+
+    return { messages, bytes, byAddress };
+};
+
+/**
+ * Size of a message as it will be stored
+ * @param {Object} message - { raw, body, html }
+ * @returns {number} Raw source length, or the text and HTML parts when there is no source
+ */
+export const messageSize = ({ raw, body, html }) => {
+    return raw
+        ? raw.length
+        : Buffer.byteLength(body || '') + Buffer.byteLength(html || '');
+};
+
+/**
+ * Create temporary addresses for a user if they fit the address limit
+ * Counting and inserting happen atomically, so parallel requests can't overshoot the limit.
+ * @param {string} userId - User ID
+ * @param {Array<string>} addresses - Addresses to create
+ * @param {string} expiresAt - Expiry of the new addresses
+ * @returns {Promise<Array<Object>>} Created temp_emails rows
+ * @throws {Error} code QUOTA_EXCEEDED
+ */
+export const addAddressesWithinQuota = async (userId, addresses, expiresAt) => {
+    const limit = getLimits().addresses;
+    const count = addresses.length;
+    const { used, records } = await User.addTempEmailsWithinQuota(userId, addresses, expiresAt, limit);
+
+    if (!records) {
+        const requested = count > 1 ? `, requested ${count}` : '';
+
+        throw quotaError(
+            `You can hold at most ${limit} active temporary addresses (you have ${used}${requested})`,
+            { type: 'addresses', scope: 'user', used, limit },
+            count > limit
+        );
+    }
+
+    return records;
+};
+
+/**
+ * Error for a message that is bigger than the quota itself, or null if it could fit
+ */
+const oversizeError = (key, size, limits) => {
+    if (size <= limits.bytesPerAddress && size <= limits.bytesPerUser) {
+        return null;
+    }
+
+    const limit = Math.min(limits.bytesPerAddress, limits.bytesPerUser);
+
+    return quotaError(
+        `Message of ${formatBytes(size)} exceeds the ${formatBytes(limit)} storage quota`,
+        { type: 'storage', scope: size > limits.bytesPerAddress ? 'address' : 'user', address: key, size, limit },
+        true
+    );
+};
+
+/**
+ * Error for a full mailbox
+ * @param {string} key - Lowercased address
+ * @param {Object} exceeded - { scope, type, used, limit }
+ */
+const exceededError = (key, { scope, type, used, limit }) => {
+    const quota = scope === 'address'
+        ? { type, scope, address: key, used, limit }
+        : { type, scope, used, limit };
+    const amount = type === 'messages' ? `${limit} messages` : formatBytes(limit);
+    const owner = scope === 'address' ? `Mailbox ${key}` : 'Your account';
+    const state = type === 'messages' ? 'is full' : 'is out of storage';
+
+    return quotaError(`${owner} ${state} (${amount})`, quota);
+};
+
+/**
+ * Check that a message fits the address and user quotas, without counting it
+ * Used to turn mail away early (SMTP RCPT); storing a message must claim it with claimMessageQuota.
+ * @param {string} userId - Owner of the address
+ * @param {string} address - Temp address the message is stored under
+ * @param {number} [size] - Message size in bytes (0 checks only that there is room left)
+ * @throws {Error} code QUOTA_EXCEEDED; permanent is set if the message is bigger than the quota itself
+ */
+export const checkMessageQuota = async (userId, address, size = 0) => {
+    const limits = getLimits();
+    const key = address.toLowerCase().trim();
+
+    const oversize = oversizeError(key, size, limits);
+    if (oversize) {
+        throw oversize;
+    }
+
+    const usage = await getStoredUsage(userId);
+    const stored = usage.byAddress.get(key) || { messages: 0, bytes: 0 };
+
+    const exceeded = [
+        { scope: 'address', type: 'messages', used: stored.messages, limit: limits.messagesPerAddress, extra: 1 },
+        { scope: 'address', type: 'storage', used: stored.bytes, limit: limits.bytesPerAddress, extra: size },
+        { scope: 'user', type: 'messages', used: usage.messages, limit: limits.messagesPerUser, extra: 1 },
+        { scope: 'user', type: 'storage', used: usage.bytes, limit: limits.bytesPerUser, extra: size }
+    ].find(({ used, limit, extra }) => used + extra > limit);
+
+    if (exceeded) {
+        throw exceededError(key, exceeded);
+    }
+};
+
+/**
+ * Count a message against the address and user quotas, if it fits
+ * The check and the count happen atomically, so concurrent deliveries can't overshoot.
+ * Call releaseMessageQuota if the message ends up not being stored.
+ * @param {string} userId - Owner of the address
+ * @param {string} address - Temp address the message is stored under
+ * @param {number} size - Message size in bytes, as stored (see messageSize)
+ * @throws {Error} code QUOTA_EXCEEDED; permanent is set if the message is bigger than the quota itself
+ */
+export const claimMessageQuota = async (userId, address, size) => {
+    const limits = getLimits();
+    const key = address.toLowerCase().trim();
+
+    const oversize = oversizeError(key, size, limits);
+    if (oversize) {
+        throw oversize;
+    }
+
+    const exceeded = await Email.claimQuota(userId, key, size, limits);
+
+    if (exceeded) {
+        throw exceededError(key, exceeded);
+    }
+};
+
+/**
+ * Give back a claimed message that was not stored after all
+ * Stored mail is given back by the database when it is deleted.
+ * @param {string} userId - Owner of the address
+ * @param {string} address - Address passed to claimMessageQuota
+ * @param {number} size - Size passed to claimMessageQuota
+ */
+export const releaseMessageQuota = async (userId, address, size) => {
+    try {
+        await Email.releaseQuota(userId, address.toLowerCase().trim(), size);
+    } catch (error) {
+        // The counters are rebuilt from stored mail whenever the schema is applied
+        console.error(`[Quota] Failed to release ${size} bytes for ${address}:`, error.message);
+    }
+};
+
+/**
+ * Report a user's usage against every quota
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { addresses, messages, storage, byAddress } with { used, limit } pairs (storage in bytes)
+ */
+export const getUsage = async (userId) => {
+    const limits = getLimits();
+    const [tempEmails, activeAddresses, usage] = await Promise.all([
+        User.getTempEmailStats(userId),
+        User.countActiveTempEmails(userId),
+        getStoredUsage(userId)
+    ]);
+
+    return {
+        addresses: { used: activeAddresses, limit: limits.addresses },
+        messages: { used: usage.messages, limit: limits.messagesPerUser },
+        storage: { used: usage.bytes, limit: limits.bytesPerUser },
+        byAddress: tempEmails.map(tempEmail => {
+            const stored = usage.byAddress.get(tempEmail.email_address.toLowerCase()) || { messages: 0, bytes: 0 };
+
+            return {
+                address: tempEmail.email_address,
+                expiresAt: tempEmail.expires_at,
+                messages: { used: stored.messages, limit: limits.messagesPerAddress },
+                storage: { used: stored.bytes, limit: limits.bytesPerAddress }
+            };
+        })
+    };
+};
+
+export default {
+    QUOTA_EXCEEDED,
+    messageSize,
+    addAddressesWithinQuota,
+    checkMessageQuota,
+    claimMessageQuota,
+    releaseMessageQuota,
+    getUsage
+};
@@ -0,0 +1,208 @@
+import MailRule from '../models/MailRule.js';
+import { compileSafeRegex } from './safeRegex.js';
+
+/**
+ * Mail Rules Engine
+ * Evaluates a user's filtering rules against received mail before it is stored.
+ * Rules run in priority order (lowest first); the actions of every matching rule
+ * are combined, except that reject/delete end evaluation at once and
+ * stop_processing skips the remaining rules.
+ */
+
+export const RULE_FIELDS = ['from', 'to', 'subject', 'body'];
+export const RULE_OPERATORS = ['contains', 'regex', 'domain'];
+export const RULE_ACTIONS = ['reject', 'delete', 'mark_read', 'star', 'label', 'forward'];
+export const RULE_MATCH_MODES = ['all', 'any'];
+
+// reject and delete decide the fate of the message on their own
+export const TERMINAL_ACTIONS = ['reject', 'delete'];
+
+// Fields the domain operator can be used on
+export const ADDRESS_FIELDS = ['from', 'to'];
+
+/**
+ * Strip tags so HTML-only mail can be matched on its text
+ */
+const htmlToText = (html) => {
+    return (html || '')
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/\s+/g, ' ');
+};
+
+/**
+ * Shape a stored email row like an inbound message, for dry runs
+ * @param {Object} email - emails row
+ * @returns {Object} { from, to, subject, body, html }
+ */
+export const fromStoredEmail = (email) => ({
+    from: email.from_email,
+    to: email.to_email,
+    subject: email.subject,
+    body: email.body,
+    html: email.html_body
+});
+
+/**
+ * Value of a condition field on a message
+ */
+const getFieldValue = (message, field) => {
+    if (field === 'body') {
+        return message.body || htmlToText(message.html);
+    }
+
+    return message[field] || '';
+};
+
+/**
+ * Check one condition ({ field, operator, value }) against a message
+ * Matching is case-insensitive. Regexes run on RE2 (linear time); an invalid stored regex never matches.
+ * @param {Object} condition - Rule condition
+ * @param {Object} message - { from, to, subject, body, html }
+ * @returns {boolean}
+ */
+export const matchesCondition = ({ field, operator, value }, message) => {
+    const actual = getFieldValue(message, field);
+
+    switch (operator) {
+        case 'contains':
+            return actual.toLowerCase().includes(value.toLowerCase());
+        case 'regex':
+            try {
+                return compileSafeRegex(value).test(actual);
+            } catch (error) {
+                return false;
+            }
+        case 'domain': {
+            // "example.com" also matches subdomains such as mail.example.com
+            const domain = actual.split('@').pop().toLowerCase();
+            const wanted = value.toLowerCase().replace(/^@/, '');
+            return domain === wanted || domain.endsWith(`.${wanted}`);
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Check whether a rule's conditions match a message
+ * @param {Object} rule - { conditions, match_mode }
+ * @param {Object} message - { from, to, subject, body, html }
+ * @returns {boolean}
+ */
+export const matchesRule = (rule, message) => {
+    const conditions = rule.conditions || [];
+
+    if (conditions.length === 0) {
+        return false;
+    }
+
+    return rule.match_mode === 'any'
+        ? conditions.some(condition => matchesCondition(condition, message))
+        : conditions.every(condition => matchesCondition(condition, message));
+};
+
+/**
+ * Combine the actions of the rules that match a message
+ * @param {Array<Object>} rules - Active rules in priority order
+ * @param {Object} message - { from, to, subject, body, html }
+ * @returns {Object} { matchedRuleIds, reject, delete, markRead, star, labelIds, forwards: [{ destination, ruleId }], decidedBy }
+ */
+export const evaluateRules = (rules, message) => {
+    const outcome = {
+        matchedRuleIds: [],
+        reject: false,
+        delete: false,
+        markRead: false,
+        star: false,
+        labelIds: [],
+        forwards: [],
+        decidedBy: null
+    };
+
+    for (const rule of rules) {
+        if (!matchesRule(rule, message)) {
+            continue;
+        }
+
+        outcome.matchedRuleIds.push(rule.id);
+
+        for (const action of rule.actions || []) {
+            switch (action.type) {
+                case 'reject':
+                    outcome.reject = true;
+                    break;
+                case 'delete':
+                    outcome.delete = true;
+                    break;
+                case 'mark_read':
+                    outcome.markRead = true;
+                    break;
+                case 'star':
+                    outcome.star = true;
+                    break;
+                case 'label':
+                    if (!outcome.labelIds.includes(action.labelId)) {
+                        outcome.labelIds.push(action.labelId);
+                    }
+                    break;
+                case 'forward':
+                    if (!outcome.forwards.some(forward => forward.destination === action.destination)) {
+                        outcome.forwards.push({ destination: action.destination, ruleId: rule.id });
+                    }
+                    break;
+            }
+        }
+
+        if (outcome.reject || outcome.delete) {
+            outcome.decidedBy = rule.id;
+            break;
+        }
+
+        if (rule.stop_processing) {
+            break;
+        }
+    }
+
+    return outcome;
+};
+
+/**
+ * Evaluate a user's active rules against an inbound message
+ * @param {string} userId - Owner of the recipient address
+ * @param {Object} message - { from, to, subject, body, html }
+ * @returns {Promise<Object>} Outcome, see evaluateRules
+ */
+export const evaluateMailRules = async (userId, message) => {
+    const rules = await MailRule.findActiveByUser(userId);
+
+    return evaluateRules(rules, message);
+};
+
+/**
+ * Build the error thrown when a rule rejects a message
+ * @param {string} ruleId - Rule that rejected it
+ * @returns {Error}
+ */
+export const ruleRejectionError = (ruleId) => {
+    const error = new Error('Message rejected by a filtering rule');
+    error.code = 'RULE_REJECTED';
+    error.ruleId = ruleId;
+    return error;
+};
+
+export default {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    RULE_ACTIONS,
+    RULE_MATCH_MODES,
+    TERMINAL_ACTIONS,
+    ADDRESS_FIELDS,
+    fromStoredEmail,
+    matchesCondition,
+    matchesRule,
+    evaluateRules,
+    evaluateMailRules,
+    ruleRejectionError
+};
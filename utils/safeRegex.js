@@ -0,0 +1,27 @@
+import { RE2JS } from 're2js';
+
+/**
+ * Safe Regex Utility
+ * Compiles user-supplied patterns with RE2, which matches in time linear in the
+ * input, so a pattern like (a+)+$ can't stall the event loop on a crafted message.
+ * RE2 has no lookarounds or backreferences.
+ */
+
+/**
+ * Compile a user-supplied, case-insensitive pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {Object} { source, test(text) }
+ * @throws {Error} If the pattern isn't valid RE2 syntax
+ */
+export const compileSafeRegex = (pattern) => {
+    const compiled = RE2JS.compile(pattern, RE2JS.CASE_INSENSITIVE);
+
+    return {
+        source: pattern,
+        test: (text) => compiled.matcher(text || '').find()
+    };
+};
+
+export default {
+    compileSafeRegex
+};
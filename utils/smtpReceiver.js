@@ -0,0 +1,232 @@
+import os from 'os';
+import { SMTPServer } from 'smtp-server';
+import { simpleParser } from 'mailparser';
+import config from '../config/env.js';
+import { resolveRecipient, deliverInboundEmail } from './inboundMail.js';
+import { toHeaderList } from './headerParser.js';
+import { QUOTA_EXCEEDED, checkMessageQuota } from './quotaService.js';
+
+/**
+ * Inbound SMTP Receiver
+ * Accepts mail for known temporary addresses and stores it in the owner's inbox
+ */
+
+let server = null;
+
+/**
+ * Build an error carrying an SMTP response code
+ * @param {string} message - Response text sent to the client
+ * @param {number} responseCode - SMTP status code
+ * @returns {Error}
+ */
+const smtpError = (message, responseCode) => {
+    const error = new Error(message);
+    error.responseCode = responseCode;
+    return error;
+};
+
+/**
+ * RCPT TO handler - only accept addresses present in temp_emails that have room for more mail
+ */
+const handleRcptTo = async (address, session, callback) => {
+    try {
+        const recipient = await resolveRecipient(address.address);
+
+        if (!recipient) {
+            return callback(smtpError(`<${address.address}>: Recipient address rejected: mailbox unavailable`, 550));
+        }
+
+        // Refuse full mailboxes up front; the size is only checked once DATA arrives
+        try {
+            await checkMessageQuota(recipient.user_id, address.address);
+        } catch (error) {
+            if (error.code !== QUOTA_EXCEEDED) throw error;
+
+            return callback(smtpError(`<${address.address}>: ${error.message}`, 452));
+        }
+
+        // Remember the owner on the envelope entry so DATA doesn't need another lookup
+        address.userId = recipient.user_id;
+
+        callback();
+    } catch (error) {
+        console.error('[SMTP Receiver] Recipient lookup failed:', error.message);
+        callback(smtpError('Temporary lookup failure, please try again later', 451));
+    }
+};
+
+/**
+ * Trace header for our own hop, prepended like any MTA would
+ */
+const buildReceivedHeader = (session) => {
+    return `Received: from ${session.hostNameAppearsAs || 'unknown'} (${session.clientHostname} [${session.remoteAddress}])\r\n` +
+        `\tby ${os.hostname()} with ${session.transmissionType} id ${session.id};\r\n` +
+        `\t${new Date().toUTCString()}\r\n`;
+};
+
+/**
+ * Read the DATA stream into a Buffer
+ */
+const readMessage = async (stream) => {
+    const chunks = [];
+
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+};
+
+/**
+ * DATA handler - parse the MIME message and store a copy per recipient
+ */
+const handleData = async (stream, session, callback) => {
+    try {
+        const message = await readMessage(stream);
+
+        if (stream.sizeExceeded) {
+            return callback(smtpError('Message exceeds fixed maximum message size', 552));
+        }
+
+        // Keep the exact source (plus our trace header) so it can be downloaded later
+        const raw = Buffer.concat([Buffer.from(buildReceivedHeader(session)), message]);
+
+        const parsed = await simpleParser(raw);
+        const headers = toHeaderList(parsed.headerLines);
+
+        const from = parsed.from?.value?.[0]?.address || session.envelope.mailFrom?.address || '';
+
+        let accepted = 0;
+        let failed = 0;
+        const overQuota = [];
+
+        for (const recipient of session.envelope.rcptTo) {
+            let email;
+
+            try {
+                email = await deliverInboundEmail({
+                    from,
+                    to: recipient.address,
+                    subject: parsed.subject,
+                    body: parsed.text,
+                    html: parsed.html || null,
+                    headers,
+                    raw,
+                    attachments: parsed.attachments.map(attachment => ({
+                        filename: attachment.filename,
+                        contentType: attachment.contentType,
+                        content: attachment.content,
+                        contentId: attachment.cid
+                    }))
+                }, recipient.userId);
+            } catch (error) {
+                if (error.code === QUOTA_EXCEEDED) {
+                    console.log(`[SMTP Receiver] Over quota, message not stored for ${recipient.address}: ${error.message}`);
+                    overQuota.push(error);
+                    continue;
+                }
+
+                if (error.code === 'RULE_REJECTED') {
+                    console.log(`[SMTP Receiver] Rule ${error.ruleId} rejected message for ${recipient.address}`);
+                    continue;
+                }
+
+                console.error(`[SMTP Receiver] Failed to store message for ${recipient.address}:`, error.message);
+                failed++;
+                continue;
+            }
+
+            accepted++;
+
+            if (email) {
+                console.log(`[SMTP Receiver] Stored message ${email.id} for ${recipient.address}`);
+            }
+        }
+
+        // DATA has a single reply. Once any recipient has a copy, a retry would duplicate it,
+        // so the message is accepted and recipients that failed are only logged.
+        if (accepted > 0) {
+            if (failed > 0) {
+                console.error(`[SMTP Receiver] Message accepted but lost for ${failed} recipient(s)`);
+            }
+
+            return callback(null, 'Message accepted');
+        }
+
+        // Nothing was stored, so asking the sender to retry is safe
+        if (failed > 0) {
+            return callback(smtpError('Message could not be stored, please try again later', 451));
+        }
+
+        // Every recipient refused it
+        if (overQuota.length === 0) {
+            return callback(smtpError('Message rejected by recipient filtering rules', 550));
+        }
+
+        // A message bigger than the quota itself will never fit; a full mailbox may free up
+        callback(overQuota.every(error => error.permanent)
+            ? smtpError('Message exceeds storage allocation', 552)
+            : smtpError('Mailbox full, please try again later', 452));
+    } catch (error) {
+        console.error('[SMTP Receiver] Failed to store message:', error.message);
+        callback(smtpError('Message could not be stored, please try again later', 451));
+    }
+};
+
+/**
+ * Start the inbound SMTP listener
+ * @returns {Promise<SMTPServer>} Listening server instance
+ */
+export const startSmtpReceiver = () => {
+    return new Promise((resolve, reject) => {
+        if (server) {
+            return resolve(server);
+        }
+
+        const instance = new SMTPServer({
+            banner: 'TempMailX inbound mail',
+            authOptional: true,
+            disabledCommands: ['AUTH'],
+            size: config.inbound.maxMessageSizeMB * 1024 * 1024,
+            logger: false,
+            onRcptTo: handleRcptTo,
+            onData: handleData
+        });
+
+        instance.on('error', (error) => {
+            console.error('[SMTP Receiver] Error:', error.message);
+        });
+
+        instance.server.once('error', reject);
+
+        instance.listen(config.inbound.port, config.inbound.host, () => {
+            instance.server.off('error', reject);
+            server = instance;
+            console.log(`[SMTP Receiver] Listening on ${config.inbound.host}:${config.inbound.port}`);
+            resolve(instance);
+        });
+    });
+};
+
+/**
+ * Stop the inbound SMTP listener
+ * @returns {Promise<void>}
+ */
+export const stopSmtpReceiver = () => {
+    return new Promise((resolve) => {
+        if (!server) {
+            return resolve();
+        }
+
+        server.close(() => {
+            server = null;
+            console.log('[SMTP Receiver] Stopped');
+            resolve();
+        });
+    });
+};
+
+export default {
+    startSmtpReceiver,
+    stopSmtpReceiver
+};
@@ -0,0 +1,242 @@
+import config from '../config/env.js';
+import SpamReport from '../models/SpamReport.js';
+import { readAuthenticationResults, summarizeHeaders } from './headerParser.js';
+
+/**
+ * Spam Filter
+ * Scores received mail with a list of pluggable checks. Each check looks at the
+ * message and returns points (positive = spammier) with a reason; the points are
+ * summed and mail at or above config.spam.quarantineThreshold is quarantined.
+ * Extra checks can be added with registerSpamCheck.
+ */
+
+// Link counts that start to look like a bulk mailing
+const MANY_LINKS = 10;
+const TOO_MANY_LINKS = 25;
+
+const URL_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly', 'rebrand.ly', 'cutt.ly', 'shorturl.at'];
+
+const SPAM_PHRASES = [
+    /\bact now\b/i,
+    /\blimited time offer\b/i,
+    /\byou(?:'ve| have)? won\b/i,
+    /\bclaim your (?:prize|reward)\b/i,
+    /\b100% free\b/i,
+    /\bmake money fast\b/i,
+    /\bno credit check\b/i,
+    /\bguaranteed income\b/i,
+    /\bcrypto(?:currency)? (?:giveaway|investment)\b/i,
+    /\bviagra\b/i,
+    /\bverify your account (?:now|immediately)\b/i,
+    /\bdear (?:customer|friend|beneficiary)\b/i
+];
+
+// A reported sender costs this many points on every later message
+const REPORTED_SENDER_SCORE = 4;
+
+const checks = [];
+
+/**
+ * Add a check to the scoring pipeline
+ * The check receives (message, context) where message is { from, to, subject, body, html, headers }
+ * and context is { userId }. It returns (or resolves to) null, one { score, reason } or an array of them.
+ * @param {string} name - Short identifier shown in spam_reasons
+ * @param {Function} check - Scoring function
+ */
+export const registerSpamCheck = (name, check) => {
+    checks.push({ name, check });
+};
+
+/**
+ * Names of the registered checks, in the order they run
+ * @returns {Array<string>}
+ */
+export const getSpamChecks = () => checks.map(({ name }) => name);
+
+/**
+ * Domain part of an address, lowercased
+ */
+const domainOf = (address) => (address || '').split('@').pop().toLowerCase().replace(/>$/, '');
+
+/**
+ * Whether a domain is, or is a subdomain of, one in the list
+ */
+const inDomainList = (domain, list) => list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+
+/**
+ * Distinct link hostnames in the text and HTML parts
+ */
+const collectLinks = ({ body, html }) => {
+    const urls = new Set();
+
+    for (const [url] of `${body || ''} ${html || ''}`.matchAll(/https?:\/\/[^\s"'<>)]+/gi)) {
+        urls.add(url);
+    }
+
+    return [...urls].map(url => {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return null;
+        }
+    }).filter(Boolean);
+};
+
+/**
+ * SPF, DKIM and DMARC verdicts added by one of our own MTAs
+ * A sender can write any Authentication-Results, so without trusted authserv-ids the check is skipped.
+ */
+registerSpamCheck('authentication', ({ headers }) => {
+    const { trustedAuthservIds } = config.spam;
+
+    if (!Array.isArray(headers) || trustedAuthservIds.length === 0) {
+        return null;
+    }
+
+    const { spf, dkim, dmarc } = readAuthenticationResults(headers, trustedAuthservIds);
+    const results = [];
+
+    if (spf === 'fail') results.push({ score: 2, reason: 'SPF failed' });
+    if (spf === 'softfail') results.push({ score: 1, reason: 'SPF soft-failed' });
+    if (dkim === 'fail') results.push({ score: 2, reason: 'DKIM signature failed' });
+    if (dmarc === 'fail') results.push({ score: 3, reason: 'DMARC failed' });
+    if (dkim === 'pass' && dmarc === 'pass') results.push({ score: -1, reason: 'DKIM and DMARC passed' });
+
+    return results;
+});
+
+/**
+ * Headers every legitimate mailer sets
+ */
+registerSpamCheck('headers', ({ headers }) => {
+    const summary = summarizeHeaders(headers);
+
+    if (!summary) {
+        return null;
+    }
+
+    const results = [];
+
+    if (!summary.messageId) results.push({ score: 1, reason: 'Missing Message-ID header' });
+    if (!summary.date) results.push({ score: 0.5, reason: 'Missing Date header' });
+
+    return results;
+});
+
+/**
+ * Many links, or links hidden behind URL shorteners
+ */
+registerSpamCheck('links', (message) => {
+    const hosts = collectLinks(message);
+    const results = [];
+
+    if (hosts.length > TOO_MANY_LINKS) {
+        results.push({ score: 3, reason: `Contains ${hosts.length} links` });
+    } else if (hosts.length > MANY_LINKS) {
+        results.push({ score: 1.5, reason: `Contains ${hosts.length} links` });
+    }
+
+    if (hosts.some(host => URL_SHORTENERS.includes(host))) {
+        results.push({ score: 1, reason: 'Uses a URL shortener' });
+    }
+
+    return results;
+});
+
+/**
+ * Sender or linked domains on the configured blocklist
+ */
+registerSpamCheck('blockedDomains', (message) => {
+    const { blockedDomains } = config.spam;
+
+    if (blockedDomains.length === 0) {
+        return null;
+    }
+
+    const results = [];
+    const senderDomain = domainOf(message.from);
+
+    if (inDomainList(senderDomain, blockedDomains)) {
+        results.push({ score: 10, reason: `Sender domain ${senderDomain} is blocked` });
+    }
+
+    const blockedLink = collectLinks(message).find(host => inDomainList(host, blockedDomains));
+    if (blockedLink) {
+        results.push({ score: 5, reason: `Links to blocked domain ${blockedLink}` });
+    }
+
+    return results;
+});
+
+/**
+ * Shouty subjects and common spam phrases
+ */
+registerSpamCheck('content', ({ subject, body }) => {
+    const results = [];
+    const letters = (subject || '').replace(/[^a-z]/gi, '');
+
+    if (letters.length >= 10 && letters === letters.toUpperCase()) {
+        results.push({ score: 1, reason: 'Subject is all capitals' });
+    }
+
+    const phrases = SPAM_PHRASES.filter(phrase => phrase.test(`${subject || ''}\n${body || ''}`));
+    if (phrases.length > 0) {
+        results.push({ score: Math.min(phrases.length, 3), reason: `Contains ${phrases.length} common spam phrase(s)` });
+    }
+
+    return results;
+});
+
+/**
+ * Senders this user reported before
+ */
+registerSpamCheck('reportedSender', async ({ from }, { userId }) => {
+    if (!userId || !from) {
+        return null;
+    }
+
+    const reports = await SpamReport.countForSender(userId, from);
+
+    return reports > 0
+        ? { score: REPORTED_SENDER_SCORE, reason: 'Sender was reported as spam before' }
+        : null;
+});
+
+/**
+ * Score a message with every registered check
+ * A check that throws is logged and skipped so it can't block delivery.
+ * @param {Object} message - { from, to, subject, body, html, headers }
+ * @param {Object} context - { userId }
+ * @returns {Promise<Object>} { score, reasons: [{ check, score, reason }], quarantine }
+ */
+export const scoreEmail = async (message, context = {}) => {
+    const reasons = [];
+
+    for (const { name, check } of checks) {
+        try {
+            const result = await check(message, context);
+
+            for (const item of [].concat(result || [])) {
+                if (item && item.score) {
+                    reasons.push({ check: name, score: item.score, reason: item.reason });
+                }
+            }
+        } catch (error) {
+            console.error(`[Spam Filter] Check ${name} failed:`, error.message);
+        }
+    }
+
+    const score = Math.round(reasons.reduce((total, item) => total + item.score, 0) * 100) / 100;
+
+    return {
+        score,
+        reasons,
+        quarantine: score >= config.spam.quarantineThreshold
+    };
+};
+
+export default {
+    registerSpamCheck,
+    getSpamChecks,
+    scoreEmail
+};
@@ -0,0 +1,386 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import config from '../config/env.js';
+import Webhook from '../models/Webhook.js';
+import { MAIL_EVENTS, onMailEvent } from './mailEvents.js';
+
+/**
+ * Webhook Service
+ * POSTs mailbox events to user-registered URLs. Bodies are signed with the
+ * webhook's secret and failed attempts are retried in-process with exponential
+ * backoff. The payload is stored with each delivery, so retries still pending when
+ * the server restarts are picked up again on startup.
+ * Webhooks only reach public addresses: the host is checked when the webhook is
+ * saved and again on every connection, and response bodies are never recorded.
+ */
+
+// Loopback, private, link-local (including cloud metadata at 169.254.169.254),
+// shared, multicast and reserved ranges. Kept per family: BlockList matches IPv4
+// addresses against IPv4-mapped IPv6 subnets, which are all blocked here. IPv6
+// ranges that embed an IPv4 address (IPv4-compatible, NAT64, 6to4, Teredo) are
+// blocked whole, since they can route to any IPv4 host.
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.ipv4.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [
+    ['::', 96], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    BLOCKED_ADDRESSES.ipv6.addSubnet(address, prefix, 'ipv6');
+}
+
+let unsubscribe = null;
+
+/**
+ * Error for a webhook host that resolves to a non-public address
+ */
+const blockedHostError = (hostname) => new Error(`Webhook host ${hostname} resolves to a private or reserved address`);
+
+/**
+ * Whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+
+    return !net.isIP(address) || BLOCKED_ADDRESSES[family].check(address, family);
+};
+
+/**
+ * dns.lookup that refuses non-public addresses
+ * Passed to http(s).request so the address actually connected to is the one checked.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        if (!config.webhooks.allowPrivateUrls && addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(blockedHostError(hostname));
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Check that a webhook URL points at a public host
+ * @param {string} url - http(s) URL
+ * @returns {Promise<string|null>} Error message, or null if the URL may be used
+ */
+export const checkWebhookUrl = async (url) => {
+    if (config.webhooks.allowPrivateUrls) {
+        return null;
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    try {
+        const addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.promises.lookup(hostname, { all: true });
+
+        return addresses.some(({ address }) => isBlockedAddress(address))
+            ? 'Webhook url must point to a public host'
+            : null;
+    } catch (error) {
+        return `Webhook host ${hostname} could not be resolved`;
+    }
+};
+
+/**
+ * Generate a signing secret for a new webhook
+ * @returns {string}
+ */
+export const generateWebhookSecret = () => {
+    return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>"
+ * Receivers recompute it from the X-TempMailX-Timestamp header and the raw body.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - JSON body as sent
+ * @returns {string}
+ */
+export const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Delay before the attempt after `attempt` (10s, 20s, 40s, ... by default)
+ * @param {number} attempt - 1-based number of the failed attempt
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelayMs = (attempt) => {
+    return config.webhooks.retryBaseSeconds * 1000 * 2 ** (attempt - 1);
+};
+
+/**
+ * Email fields sent with email.received
+ */
+const toEmailPayload = (email) => ({
+    id: email.id,
+    from_email: email.from_email,
+    to_email: email.to_email,
+    subject: email.subject,
+    body: email.body,
+    html_body: email.html_body,
+    verification_code: email.verification_code,
+    verification_links: email.verification_links,
+    created_at: email.created_at
+});
+
+/**
+ * POST a body and resolve with the response status (redirects are not followed, the body is discarded)
+ * @param {string} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<number>} HTTP status
+ */
+const post = (url, headers, body) => {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+        // IP literals are connected to directly, without a lookup
+        if (net.isIP(hostname) && !config.webhooks.allowPrivateUrls && isBlockedAddress(hostname)) {
+            return reject(blockedHostError(hostname));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup
+        }, (response) => {
+            response.resume();
+            response.on('end', () => {
+                clearTimeout(timer);
+                resolve(response.statusCode);
+            });
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`Timed out after ${config.webhooks.timeoutMs} ms`));
+        }, config.webhooks.timeoutMs);
+
+        request.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+};
+
+/**
+ * Make a single HTTP attempt
+ * @returns {Promise<Object>} - { ok, status, error }
+ */
+const attemptDelivery = async (webhook, delivery, body) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const status = await post(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'TempMailX-Webhooks/1.0',
+            'X-TempMailX-Event': delivery.event,
+            'X-TempMailX-Delivery': delivery.id,
+            'X-TempMailX-Timestamp': String(timestamp),
+            'X-TempMailX-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+        }, body);
+
+        return {
+            ok: status >= 200 && status < 300,
+            status
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            status: null,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Make attempt `number` of a delivery, log it and schedule the next one if it failed
+ * @param {Object} webhook - Webhook row (with secret)
+ * @param {Object} delivery - Delivery row (with payload)
+ * @param {number} number - 1-based attempt number
+ * @param {boolean} retry - Whether a failure may be retried
+ * @returns {Promise<Object>} Updated delivery row
+ */
+const runAttempt = async (webhook, delivery, number, retry) => {
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.created_at,
+        data: delivery.payload
+    });
+
+    const result = await attemptDelivery(webhook, delivery, body);
+    const willRetry = !result.ok && retry && number < config.webhooks.maxAttempts;
+    const delayMs = getRetryDelayMs(number);
+
+    const updated = await Webhook.updateDelivery(delivery.id, {
+        status: result.ok ? 'success' : (willRetry ? 'pending' : 'failed'),
+        attempts: number,
+        response_status: result.status,
+        error: result.ok ? null : (result.error || `HTTP ${result.status}`),
+        next_attempt_at: willRetry ? new Date(Date.now() + delayMs).toISOString() : null,
+        delivered_at: result.ok ? new Date().toISOString() : null
+    });
+
+    if (willRetry) {
+        scheduleAttempt(delivery, number + 1, delayMs);
+    }
+
+    return updated;
+};
+
+/**
+ * Make attempt `number` of a delivery after a delay, with the webhook as it is then
+ */
+const scheduleAttempt = (delivery, number, delayMs) => {
+    setTimeout(async () => {
+        try {
+            // Pick up URL/secret changes; stop if the webhook was removed or disabled
+            const current = await Webhook.findById(delivery.webhook_id);
+
+            if (!current || !current.is_active) {
+                if (current) {
+                    await Webhook.updateDelivery(delivery.id, {
+                        status: 'failed',
+                        next_attempt_at: null,
+                        error: 'Webhook was disabled before the next attempt'
+                    });
+                }
+                return;
+            }
+
+            await runAttempt(current, delivery, number, true);
+        } catch (error) {
+            console.error(`[Webhooks] Retry of delivery ${delivery.id} failed:`, error.message);
+        }
+    }, delayMs).unref();
+};
+
+/**
+ * Send an event to a webhook and log it, retrying failures in the background
+ * @param {Object} webhook - Webhook row (with secret)
+ * @param {string} event - Event name, e.g. email.received
+ * @param {Object} data - Event payload
+ * @param {Object} options - emailId (for the log), retry (default true)
+ * @returns {Promise<Object>} Delivery row after the first attempt
+ */
+export const deliverWebhook = async (webhook, event, data, { emailId, retry = true } = {}) => {
+    const delivery = await Webhook.createDelivery({
+        webhookId: webhook.id,
+        userId: webhook.user_id,
+        emailId,
+        event,
+        payload: data
+    });
+
+    return await runAttempt(webhook, delivery, 1, retry);
+};
+
+/**
+ * Reschedule deliveries left pending by a previous run of the server
+ * Overdue attempts are made right away; deliveries logged before payloads were stored are marked failed.
+ */
+const resumePendingDeliveries = async () => {
+    try {
+        const deliveries = await Webhook.findPendingDeliveries();
+        let resumed = 0;
+
+        for (const delivery of deliveries) {
+            if (!delivery.payload) {
+                await Webhook.updateDelivery(delivery.id, {
+                    status: 'failed',
+                    next_attempt_at: null,
+                    error: 'Retry state was lost when the server restarted'
+                });
+                continue;
+            }
+
+            const dueAt = delivery.next_attempt_at ? new Date(delivery.next_attempt_at).getTime() : Date.now();
+            scheduleAttempt(delivery, delivery.attempts + 1, Math.max(0, dueAt - Date.now()));
+            resumed++;
+        }
+
+        if (resumed > 0) {
+            console.log(`[Webhooks] Resumed ${resumed} pending deliveries`);
+        }
+    } catch (error) {
+        console.error('[Webhooks] Failed to resume pending deliveries:', error.message);
+    }
+};
+
+/**
+ * Notify webhooks registered for the recipient address of a received email
+ */
+const handleMailEvent = async ({ type, userId, data }) => {
+    if (type !== MAIL_EVENTS.EMAIL_RECEIVED) {
+        return;
+    }
+
+    try {
+        const webhooks = await Webhook.findActiveForAddress(userId, data.to_email);
+
+        await Promise.all(webhooks.map(webhook => (
+            deliverWebhook(webhook, type, { email: toEmailPayload(data) }, { emailId: data.id })
+        )));
+    } catch (error) {
+        console.error(`[Webhooks] Failed to dispatch ${type} for email ${data.id}:`, error.message);
+    }
+};
+
+/**
+ * Start delivering mailbox events to webhooks
+ */
+export const startWebhookDispatcher = () => {
+    if (!unsubscribe) {
+        unsubscribe = onMailEvent(handleMailEvent);
+        resumePendingDeliveries();
+    }
+};
+
+/**
+ * Stop delivering mailbox events to webhooks
+ */
+export const stopWebhookDispatcher = () => {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+};
+
+export default {
+    checkWebhookUrl,
+    generateWebhookSecret,
+    signPayload,
+    getRetryDelayMs,
+    deliverWebhook,
+    startWebhookDispatcher,
+    stopWebhookDispatcher
+};